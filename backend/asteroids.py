@@ -33,7 +33,7 @@ startDate = '2025-01-01'
 endDate = '2025-01-02'
 
 # SBDB API
-template_sbdb = 'https://ssd-api.jpl.nasa.gov/sbdb.api?sstr={}'
+template_sbdb = 'https://ssd-api.jpl.nasa.gov/sbdb.api?spk={}'
 # print(template.format(startDate, endDate, apiKeyNEO))
 # Call api and get data for dates
 response = requests.get(template.format(startDate, endDate, apiKeyNEO))
@@ -51,8 +51,9 @@ asteroid_properties = {}
 for date, ast_list in astroids.items():
 	for asteroid in ast_list:
 		print(f"Asteroid: {asteroid.get('name', 'unknown')}")
-		sbdb_name = asteroid.get('name', '').replace(' ', '').replace('(', '').replace(')', '')[6:]
-		sbdb_url = template_sbdb.format(sbdb_name)
+		# Look the orbit up by the feed's neo_reference_id, which is the JPL SPK-ID,
+		# so a designation such as '(2013 AY52)' cannot match another object
+		sbdb_url = template_sbdb.format(asteroid['neo_reference_id'])
 		print(f"Fetching SBDB data: {sbdb_url}")
 		sbdb_response = requests.get(sbdb_url)
 		try:
@@ -105,20 +106,38 @@ for date, ast_list in astroids.items():
 
 			# Get size (diameter) and speed (velocity)
 			# Size: try to get estimated_diameter from NEO API
+			# The feed gives a range for the unknown albedo; keep both ends for uncertainty runs
 			size = None
+			size_min = None
 			if 'estimated_diameter' in asteroid and 'kilometers' in asteroid['estimated_diameter']:
 				km_diam = asteroid['estimated_diameter']['kilometers']
 				if 'estimated_diameter_max' in km_diam:
 					size = km_diam['estimated_diameter_max']
+				if 'estimated_diameter_min' in km_diam:
+					size_min = km_diam['estimated_diameter_min']
 			# Speed: try to get from close_approach_data (take first entry if available)
 			speed = None
 			if 'close_approach_data' in asteroid and len(asteroid['close_approach_data']) > 0:
 				cad = asteroid['close_approach_data'][0]
 				if 'relative_velocity' in cad and 'kilometers_per_second' in cad['relative_velocity']:
 					speed = float(cad['relative_velocity']['kilometers_per_second'])
+			# Osculating elements at SBDB's epoch, so the frontend can place the body
+			# on its orbit at any date; the samples above only give the orbit's shape
+			orbit_elements = {
+				'a_au': float(elements['a']),
+				'e': ecc,
+				'i_deg': float(elements['i']),
+				'raan_deg': float(elements['om']),
+				'argp_deg': float(elements['w']),
+				'M_deg': float(elements['ma']),
+				'epoch_jd': float(sbdb_json['orbit']['epoch'])
+			}
 			asteroid_properties[asteroid.get('name', 'unknown')] = {
 				'size_km': size,
-				'speed_km_s': speed
+				'size_min_km': size_min,
+				'speed_km_s': speed,
+				'hazardous': asteroid.get('is_potentially_hazardous_asteroid'),
+				'elements': orbit_elements
 			}
 		except Exception as e:
 			print(f"Could not create orbit for asteroid {asteroid.get('name', 'unknown')}: {e}")
@@ -0,0 +1,143 @@
+'''
+Program to build the simplified boundary file bundled with the frontend
+(src/assets/country_boundaries.json) for offline reverse geocoding.
+
+Input is the Natural Earth 1:10m admin-1 states and provinces layer as
+GeoJSON (ne_10m_admin_1_states_provinces.geojson,
+https://www.naturalearthdata.com/downloads/10m-cultural-vectors/). Every
+admin-1 unit also carries its country's ISO 3166-1 code, so one layer answers
+both "which country" and "which state or province" without the two sets of
+borders disagreeing.
+
+Rings are simplified with Douglas-Peucker, islands smaller than the
+tolerance are dropped unless they are all there is of a unit, and coordinates are stored as delta-encoded integers
+in hundredths of a degree (~1 km). The frontend snaps clicks that fall into
+the resulting slivers along borders and coasts to the nearest unit.
+
+Usage: python country_boundaries.py ne_10m_admin_1_states_provinces.geojson [tolerance_deg]
+'''
+from __future__ import print_function, division
+import json
+import re
+import sys
+from collections import Counter, defaultdict
+
+SCALE = 100
+DEFAULT_TOLERANCE_DEG = 0.05
+
+# Natural Earth fills in codes like 'AQ-X02~' for units without an ISO 3166-2 code
+PLACEHOLDER_CODE = re.compile(r'^[A-Z]{2}-X\d')
+
+
+def perpendicular_distance(point, start, end):
+	(x, y), (x1, y1), (x2, y2) = point, start, end
+	dx, dy = x2 - x1, y2 - y1
+	length_sq = dx * dx + dy * dy
+	if length_sq == 0:
+		return ((x - x1) ** 2 + (y - y1) ** 2) ** 0.5
+	t = max(0, min(1, ((x - x1) * dx + (y - y1) * dy) / length_sq))
+	return ((x - x1 - t * dx) ** 2 + (y - y1 - t * dy) ** 2) ** 0.5
+
+
+def simplify(points, tolerance):
+	# Iterative Douglas-Peucker, so long coastlines do not hit the recursion limit
+	keep = [False] * len(points)
+	keep[0] = keep[-1] = True
+	stack = [(0, len(points) - 1)]
+	while stack:
+		first, last = stack.pop()
+		index, furthest = 0, 0
+		for i in range(first + 1, last):
+			d = perpendicular_distance(points[i], points[first], points[last])
+			if d > furthest:
+				index, furthest = i, d
+		if furthest > tolerance:
+			keep[index] = True
+			stack.append((first, index))
+			stack.append((index, last))
+	return [p for p, k in zip(points, keep) if k]
+
+
+def encode_ring(ring, tolerance, keep_small=False):
+	lons = [p[0] for p in ring]
+	lats = [p[1] for p in ring]
+	if max(lons) - min(lons) < tolerance and max(lats) - min(lats) < tolerance:
+		if not keep_small:
+			return None
+		tolerance = 1 / SCALE
+
+	# Closed rings have identical end points, so split them in two before simplifying
+	half = len(ring) // 2
+	points = simplify(ring[:half + 1], tolerance)[:-1] + simplify(ring[half:], tolerance)
+
+	encoded = []
+	previous = (0, 0)
+	for lon, lat in points:
+		current = (int(round(lon * SCALE)), int(round(lat * SCALE)))
+		if encoded and current == previous:
+			continue
+		encoded.extend([current[0] - previous[0], current[1] - previous[1]])
+		previous = current
+	return encoded if len(encoded) >= 6 else None
+
+
+def polygons(geometry):
+	if geometry['type'] == 'Polygon':
+		return [geometry['coordinates']]
+	return geometry['coordinates']
+
+
+def encode_feature(feature, tolerance, keep_small=False):
+	rings = []
+	for polygon in polygons(feature['geometry']):
+		for ring in polygon:
+			encoded = encode_ring(ring, tolerance, keep_small)
+			if encoded:
+				rings.append(encoded)
+	return rings
+
+
+def main():
+	if len(sys.argv) not in (2, 3):
+		print(__doc__)
+		sys.exit(1)
+	tolerance = float(sys.argv[2]) if len(sys.argv) == 3 else DEFAULT_TOLERANCE_DEG
+	with open(sys.argv[1], encoding='utf-8') as f:
+		features = json.load(f)['features']
+
+	# Overseas units such as the Dhekelia base area share their country's code,
+	# so the country is named after most of its units
+	names = defaultdict(Counter)
+	for feature in features:
+		names[feature['properties']['iso_a2']][feature['properties']['admin']] += 1
+	countries = [[code, names[code].most_common(1)[0][0]] for code in sorted(names)]
+	country_index = {code: i for i, (code, name) in enumerate(countries)}
+
+	regions = []
+	for feature in features:
+		props = feature['properties']
+		code = props['iso_a2']
+
+		rings = encode_feature(feature, tolerance)
+		if not rings:
+			# Keep city-states and island nations even when they are smaller than the tolerance
+			rings = encode_feature(feature, tolerance, keep_small=True)
+		if rings:
+			region_code = '' if PLACEHOLDER_CODE.match(props['iso_3166_2']) else props['iso_3166_2']
+			name = props.get('name_en') or props.get('name') or ''
+			regions.append([country_index[code], region_code, name, rings])
+
+	boundaries = {
+		'scale': SCALE,
+		'source': 'Natural Earth 1:10m admin-1 states and provinces',
+		'countries': countries,
+		'regions': regions
+	}
+	with open('country_boundaries.json', 'w', encoding='utf-8') as f:
+		json.dump(boundaries, f, separators=(',', ':'), ensure_ascii=False)
+	points = sum(len(ring) // 2 for region in regions for ring in region[3])
+	print('Countries: {}, regions: {}, points: {}'.format(len(countries), len(regions), points))
+
+
+if __name__ == '__main__':
+	main()
@@ -0,0 +1,70 @@
+'''
+Program to export the orbital elements of the whole near-Earth object
+population from the JPL Small-Body Database Query API, for the frontend's
+instanced asteroid view (import the output from the Asteroid Catalog panel).
+
+Unlike asteroids.py, which samples a handful of orbits from one day of the NEO
+feed, this keeps only the classical elements, so tens of thousands of objects
+fit in a few megabytes and are propagated on the GPU.
+
+Usage: python neo_population.py [max_H]
+  max_H  only keep objects brighter than this absolute magnitude (default: all)
+'''
+from __future__ import print_function, division
+import json
+import sys
+
+import requests
+
+QUERY_URL = 'https://ssd-api.jpl.nasa.gov/sbdb_query.api'
+SBDB_FIELDS = ['full_name', 'a', 'e', 'i', 'om', 'w', 'ma', 'epoch', 'diameter', 'H', 'moid', 'pha']
+OUTPUT_FIELDS = ['name', 'a_au', 'e', 'i_deg', 'raan_deg', 'argp_deg', 'M_deg', 'epoch_jd', 'diameter_km', 'H', 'moid_au', 'pha']
+
+
+def to_number(value):
+	return None if value in (None, '') else float(value)
+
+
+def convert_row(row):
+	values = dict(zip(SBDB_FIELDS, row))
+	converted = [values['full_name'].strip()]
+	converted += [to_number(values[field]) for field in SBDB_FIELDS[1:-1]]
+	converted.append(values['pha'] == 'Y' if values['pha'] in ('Y', 'N') else None)
+	return converted
+
+
+def main():
+	if len(sys.argv) > 2:
+		print(__doc__)
+		sys.exit(1)
+	max_h = float(sys.argv[1]) if len(sys.argv) == 2 else None
+
+	params = {'fields': ','.join(SBDB_FIELDS), 'sb-group': 'neo', 'sb-kind': 'a'}
+	response = requests.get(QUERY_URL, params=params)
+	response.raise_for_status()
+	content = response.json()
+
+	rows = []
+	for row in content['data']:
+		converted = convert_row(row)
+		values = dict(zip(OUTPUT_FIELDS, converted))
+		# Only closed orbits can be propagated with Kepler's equation
+		if values['a_au'] is None or values['e'] is None or not 0 <= values['e'] < 1:
+			continue
+		if max_h is not None and (values['H'] is None or values['H'] > max_h):
+			continue
+		rows.append(converted)
+
+	population = {
+		'format': 'neo-population',
+		'source': 'JPL Small-Body Database',
+		'fields': OUTPUT_FIELDS,
+		'data': rows
+	}
+	with open('neo_population.json', 'w', encoding='utf-8') as f:
+		json.dump(population, f, separators=(',', ':'))
+	print('Objects: {} of {}'.format(len(rows), content['count']))
+
+
+if __name__ == '__main__':
+	main()
@@ -0,0 +1,164 @@
+'''
+Program to build the coarse population grid bundled with the frontend
+(src/assets/population_grid.json) for offline casualty estimates.
+
+Inputs are two GeoNames dumps (https://download.geonames.org/export/dump/):
+  cities1000.txt   - every populated place with at least 1000 inhabitants
+  countryInfo.txt  - national population totals
+
+GeoNames lists some cities both as a whole and by district (New York City
+and its boroughs), so a settlement is dropped when it lies inside the
+footprint of a larger one. Each remaining settlement is added to the 0.25°
+cell it lies in, scaled down if a country's listed places add up to more
+than its total. The part of a country's population that does not live in a
+listed settlement (rural population, villages under 1000 people) is spread
+over that country's cells in proportion to how many settlements surround
+each cell, so it stays on inhabited land instead of being smeared over
+deserts and ice sheets.
+
+Usage: python population_grid.py cities1000.txt countryInfo.txt
+'''
+from __future__ import print_function, division
+import json
+import math
+import sys
+from collections import defaultdict
+
+RESOLUTION_DEG = 0.25
+WIDTH = int(360 / RESOLUTION_DEG)
+HEIGHT = int(180 / RESOLUTION_DEG)
+
+# Sections of other places, historical, abandoned and destroyed places
+EXCLUDED_FEATURE_CODES = {'PPLX', 'PPLH', 'PPLQ', 'PPLW', 'PPLCH'}
+
+# Average urban density used to turn a city's population into a footprint radius
+URBAN_DENSITY_PER_KM2 = 5000
+
+
+def cell_index(lat, lon):
+	col = min(WIDTH - 1, int((lon + 180) / RESOLUTION_DEG))
+	row = min(HEIGHT - 1, max(0, int((90 - lat) / RESOLUTION_DEG)))
+	return row * WIDTH + col
+
+
+def neighbour_cells(index):
+	row, col = divmod(index, WIDTH)
+	for dr in (-1, 0, 1):
+		r = row + dr
+		if r < 0 or r >= HEIGHT:
+			continue
+		for dc in (-1, 0, 1):
+			yield r * WIDTH + (col + dc) % WIDTH
+
+
+def distance_km(lat1, lon1, lat2, lon2):
+	p1, p2 = math.radians(lat1), math.radians(lat2)
+	a = math.sin((p2 - p1) / 2) ** 2 + math.cos(p1) * math.cos(p2) * math.sin(math.radians(lon2 - lon1) / 2) ** 2
+	return 2 * 6371 * math.asin(math.sqrt(min(1, a)))
+
+
+def drop_districts(settlements):
+	# Largest first, so every settlement is compared with the cities that could contain it
+	kept = []
+	bins = defaultdict(list)
+	for settlement in sorted(settlements, key=lambda s: -s[3]):
+		lat, lon = settlement[0], settlement[1]
+		key = (int(math.floor(lat * 2)), int(math.floor(lon * 2)))
+		inside = False
+		for dlat in (-1, 0, 1):
+			for dlon in (-1, 0, 1):
+				for other in bins[(key[0] + dlat, key[1] + dlon)]:
+					radius = math.sqrt(other[3] / (math.pi * URBAN_DENSITY_PER_KM2))
+					if distance_km(lat, lon, other[0], other[1]) < radius:
+						inside = True
+						break
+				if inside:
+					break
+			if inside:
+				break
+		if not inside:
+			kept.append(settlement)
+			bins[key].append(settlement)
+	return kept
+
+
+def read_countries(path):
+	totals = {}
+	with open(path, encoding='utf-8') as f:
+		for line in f:
+			if line.startswith('#') or not line.strip():
+				continue
+			fields = line.rstrip('\n').split('\t')
+			totals[fields[0]] = int(fields[7] or 0)
+	return totals
+
+
+def read_settlements(path):
+	settlements = []
+	with open(path, encoding='utf-8') as f:
+		for line in f:
+			fields = line.rstrip('\n').split('\t')
+			if fields[7] in EXCLUDED_FEATURE_CODES:
+				continue
+			population = int(fields[14] or 0)
+			if population <= 0:
+				continue
+			settlements.append((float(fields[4]), float(fields[5]), fields[8], population))
+	return settlements
+
+
+def build_grid(settlements, country_totals):
+	population = defaultdict(float)
+	listed = defaultdict(int)
+	density = defaultdict(lambda: defaultdict(int))
+
+	for lat, lon, country, count in settlements:
+		listed[country] += count
+
+	for lat, lon, country, count in settlements:
+		total = country_totals.get(country, 0)
+		if total and listed[country] > total:
+			count *= total / listed[country]
+		index = cell_index(lat, lon)
+		population[index] += count
+		for neighbour in neighbour_cells(index):
+			density[country][neighbour] += 1
+
+	for country, total in country_totals.items():
+		remainder = total - listed[country]
+		weights = density.get(country)
+		if remainder <= 0 or not weights:
+			continue
+		weight_sum = sum(weights.values())
+		for index, weight in weights.items():
+			population[index] += remainder * weight / weight_sum
+
+	return population
+
+
+def main():
+	if len(sys.argv) != 3:
+		print(__doc__)
+		sys.exit(1)
+	settlements = drop_districts(read_settlements(sys.argv[1]))
+	country_totals = read_countries(sys.argv[2])
+	population = build_grid(settlements, country_totals)
+
+	# Sorted, delta-encoded cell indices keep the bundled file small
+	cells = sorted(index for index, count in population.items() if count >= 0.5)
+	deltas = [cells[0]] + [b - a for a, b in zip(cells, cells[1:])]
+	grid = {
+		'resolution_deg': RESOLUTION_DEG,
+		'width': WIDTH,
+		'height': HEIGHT,
+		'source': 'GeoNames cities1000 and countryInfo',
+		'cells': deltas,
+		'population': [int(round(population[index])) for index in cells]
+	}
+	with open('population_grid.json', 'w') as f:
+		json.dump(grid, f, separators=(',', ':'))
+	print('Cells: {}, total population: {:.0f}'.format(len(cells), sum(grid['population'])))
+
+
+if __name__ == '__main__':
+	main()
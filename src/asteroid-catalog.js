@@ -0,0 +1,231 @@
+/**
+ * Catalog of every asteroid bundled by backend/asteroids.py: orbital
+ * elements recovered from the sampled orbit, size and speed from the NEO
+ * feed, plus derived impact energy, MOID and the potentially hazardous
+ * asteroid (PHA) flag, with the search, filter and sort used by the catalog
+ * panel. Larger populations exported by backend/neo_population.py carry their
+ * elements directly and are merged in with parsePopulation.
+ */
+
+import { AU_KM, elementsFromSampledOrbit } from "./orbit-propagator"
+import { computeMoid } from "./close-approaches"
+import { impactEnergyMt } from "./hazard-scale"
+
+// Bulk density assumed for the energy estimate, as in the launch panel default
+export const DEFAULT_DENSITY = 3100
+
+// A PHA comes within 0.05 AU of Earth's orbit and has H <= 22, which is about 140 m across
+export const PHA_MOID_AU = 0.05
+export const PHA_MAX_H = 22
+
+export const POPULATION_FORMAT = 'neo-population'
+
+// Geometric albedo assumed when a diameter has to be estimated from H
+const DEFAULT_ALBEDO = 0.14
+// The NEO feed's estimated_diameter_max, which asteroid_properties.json keeps as
+// size_km, is the diameter for this albedo, and estimated_diameter_min (size_min_km)
+// the one for the other
+const FEED_MAX_DIAMETER_ALBEDO = 0.05
+const FEED_MIN_DIAMETER_ALBEDO = 0.25
+const EARTH_ORBITAL_SPEED_KM_S = 29.78
+
+// SBDB elements as the backend scripts write them (AU, degrees, Julian date)
+function elementsFromRecord(record) {
+  return {
+    a_km: record.a_au * AU_KM,
+    e: record.e,
+    i_deg: record.i_deg,
+    raan_deg: record.raan_deg,
+    argp_deg: record.argp_deg,
+    M0_deg: record.M_deg,
+    // Julian date to Unix milliseconds
+    epoch_ms: record.epoch_jd === null ? null : (record.epoch_jd - 2440587.5) * 86400000
+  }
+}
+
+function isHazardous(moid_au, H) {
+  return moid_au <= PHA_MOID_AU && H !== null && H <= PHA_MAX_H
+}
+
+/**
+ * Diameter from absolute magnitude: D = 1329 km / √p · 10^(-H/5)
+ * @param {number} H - Absolute magnitude
+ * @param {number} albedo - Geometric albedo
+ * @returns {number} diameter in meters
+ */
+export function diameterFromMagnitude(H, albedo = DEFAULT_ALBEDO) {
+  return 1329000 / Math.sqrt(albedo) * 10 ** (-H / 5)
+}
+
+/**
+ * Absolute magnitude from diameter, the inverse of diameterFromMagnitude
+ * @param {number} diameter_m - Diameter in meters
+ * @param {number} albedo - Geometric albedo
+ * @returns {number} absolute magnitude H
+ */
+export function magnitudeFromDiameter(diameter_m, albedo = DEFAULT_ALBEDO) {
+  return -5 * Math.log10(diameter_m * Math.sqrt(albedo) / 1329000)
+}
+
+/**
+ * Diameter range of a feed object. Both ends come from the same H with the two
+ * albedos, so files written before the backend kept size_min_km get the same
+ * minimum from size_km.
+ * @param {object} properties - asteroid_properties.json entry
+ * @returns {object|null} { min_m, max_m }, or null when the size is unknown
+ */
+export function feedDiameterRange(properties) {
+  if (typeof properties.size_km !== 'number') return null
+  const max_m = properties.size_km * 1000
+  const min_m = typeof properties.size_min_km === 'number'
+    ? properties.size_min_km * 1000
+    : max_m * Math.sqrt(FEED_MAX_DIAMETER_ALBEDO / FEED_MIN_DIAMETER_ALBEDO)
+  return { min_m, max_m }
+}
+
+/**
+ * Typical speed relative to Earth at an encounter, from Öpik's approximation
+ * U² = 3 - 1/a - 2·√(a(1 - e²))·cos(i), with a in AU and U in units of Earth's orbital speed
+ * @param {object} elements - Orbital elements
+ * @returns {number} encounter speed in km/s
+ */
+export function encounterSpeed(elements) {
+  const a = elements.a_km / AU_KM
+  const U2 = 3 - 1 / a - 2 * Math.sqrt(a * (1 - elements.e ** 2)) * Math.cos(elements.i_deg * Math.PI / 180)
+  return Math.sqrt(Math.max(U2, 0)) * EARTH_ORBITAL_SPEED_KM_S
+}
+
+/**
+ * Build the catalog from the bundled data files
+ * @param {object} orbitData - asteroid_orbit_coords.json: name -> [[x, y, z], ...] in km
+ * @param {object} propertiesData - asteroid_properties.json: name -> { size_km, speed_km_s, hazardous?, elements? },
+ *   where elements are SBDB's { a_au, e, i_deg, raan_deg, argp_deg, M_deg, epoch_jd }
+ * @returns {Array<object>} entries { name, elements, diameter_m, speed_km_s, energy_mt,
+ *   moid_au, hazardous } for every object with a closed orbit, in file order
+ */
+export function buildCatalog(orbitData, propertiesData = {}) {
+  const entries = []
+  Object.entries(orbitData).forEach(([name, coordinates]) => {
+    if (!Array.isArray(coordinates) || coordinates.length < 5 || coordinates.some(coord => !Array.isArray(coord) || coord.length < 3)) {
+      return
+    }
+    // Use SBDB's elements when the data file carries them; otherwise recover
+    // the orbit's shape, without a position along it, from the samples
+    const properties = propertiesData[name] || {}
+    const elements = properties.elements
+      ? elementsFromRecord(properties.elements)
+      : elementsFromSampledOrbit(coordinates)
+    if (!(elements.e >= 0 && elements.e < 1) || !isFinite(elements.a_km)) {
+      return
+    }
+
+    const diameter_m = typeof properties.size_km === 'number' ? properties.size_km * 1000 : null
+    const speed_km_s = typeof properties.speed_km_s === 'number' ? properties.speed_km_s : null
+    const energy_mt = impactEnergyMt(diameter_m, speed_km_s, DEFAULT_DENSITY)
+    const moid_au = computeMoid(elements).moid_km / AU_KM
+
+    // Prefer the NEO feed's own flag when the data file carries it; files
+    // written before the backend kept it get the same test, with H recovered
+    // from the feed's diameter
+    const H = diameter_m === null ? null : magnitudeFromDiameter(diameter_m, FEED_MAX_DIAMETER_ALBEDO)
+    const hazardous = typeof properties.hazardous === 'boolean'
+      ? properties.hazardous
+      : isHazardous(moid_au, H)
+
+    entries.push({ name, elements, diameter_m, speed_km_s, energy_mt, moid_au, hazardous })
+  })
+  return entries
+}
+
+/**
+ * Catalog entries from a population file written by backend/neo_population.py
+ * @param {object} doc - { format, fields, data } with one row per object
+ * @returns {Array<object>} catalog entries (see buildCatalog); rows without a closed orbit are skipped
+ * @throws {Error} if the document is not a population file
+ */
+export function parsePopulation(doc) {
+  if (!doc || doc.format !== POPULATION_FORMAT || !Array.isArray(doc.fields) || !Array.isArray(doc.data)) {
+    throw new Error('Not an NEO population file')
+  }
+  const column = {}
+  doc.fields.forEach((field, index) => {
+    column[field] = index
+  })
+
+  const entries = []
+  doc.data.forEach(row => {
+    const value = field => (row[column[field]] === null || row[column[field]] === undefined ? null : row[column[field]])
+    const elements = elementsFromRecord({
+      a_au: value('a_au'),
+      e: value('e'),
+      i_deg: value('i_deg'),
+      raan_deg: value('raan_deg'),
+      argp_deg: value('argp_deg'),
+      M_deg: value('M_deg'),
+      epoch_jd: value('epoch_jd')
+    })
+    if (!(elements.e >= 0 && elements.e < 1) || !(elements.a_km > 0)) return
+
+    const H = value('H')
+    const diameter_m = value('diameter_km') !== null
+      ? value('diameter_km') * 1000
+      : (H !== null ? diameterFromMagnitude(H) : null)
+    const speed_km_s = encounterSpeed(elements)
+    const moid_au = value('moid_au') !== null ? value('moid_au') : computeMoid(elements).moid_km / AU_KM
+    const magnitude = H !== null ? H : (diameter_m !== null ? magnitudeFromDiameter(diameter_m) : null)
+    const hazardous = typeof value('pha') === 'boolean' ? value('pha') : isHazardous(moid_au, magnitude)
+
+    entries.push({
+      name: value('name'),
+      elements,
+      diameter_m,
+      speed_km_s,
+      energy_mt: impactEnergyMt(diameter_m, speed_km_s, DEFAULT_DENSITY),
+      moid_au,
+      hazardous
+    })
+  })
+  return entries
+}
+
+function inRange(value, min, max) {
+  if (isNaN(min) && isNaN(max)) return true
+  if (value === null) return false
+  return !(value < min) && !(value > max)
+}
+
+/**
+ * Entries matching a text search and size and speed ranges. Range bounds
+ * that are NaN are open; entries missing a value fail any closed range.
+ * @param {Array<object>} entries - Catalog entries
+ * @param {object} filters - { query, minDiameter_m, maxDiameter_m, minSpeed_km_s, maxSpeed_km_s, hazardousOnly }
+ * @returns {Array<object>} matching entries
+ */
+export function filterCatalog(entries, filters = {}) {
+  const query = (filters.query || '').trim().toLowerCase()
+  return entries.filter(entry =>
+    (!query || entry.name.toLowerCase().includes(query)) &&
+    inRange(entry.diameter_m, filters.minDiameter_m, filters.maxDiameter_m) &&
+    inRange(entry.speed_km_s, filters.minSpeed_km_s, filters.maxSpeed_km_s) &&
+    (!filters.hazardousOnly || entry.hazardous)
+  )
+}
+
+/**
+ * Sort entries by a field; entries missing the value go last either way
+ * @param {Array<object>} entries - Catalog entries
+ * @param {string} key - Entry field to sort on
+ * @param {string} order - 'asc' or 'desc'
+ * @returns {Array<object>} sorted copy
+ */
+export function sortCatalog(entries, key, order = 'asc') {
+  const sign = order === 'desc' ? -1 : 1
+  return [...entries].sort((a, b) => {
+    const x = a[key]
+    const y = b[key]
+    if (x === null || x === undefined) return y === null || y === undefined ? 0 : 1
+    if (y === null || y === undefined) return -1
+    if (typeof x === 'string') return sign * x.localeCompare(y, undefined, { numeric: true })
+    return sign * (Number(x) - Number(y))
+  })
+}
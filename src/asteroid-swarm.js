@@ -0,0 +1,172 @@
+/**
+ * Instanced rendering for large asteroid populations: every body is one
+ * instance of a single mesh whose position is propagated in the vertex shader
+ * from per-instance orbital elements, so moving the clock only updates a
+ * uniform, and all orbits share one line-segment geometry. Picking runs the
+ * same propagation on the CPU, since the instance matrices never move.
+ */
+
+import * as THREE from "three"
+import {
+  OBLIQUITY_J2000_DEG, DEFAULT_EPOCH_MS, meanMotion, propagate, displayElements, sampleOrbit, eclipticToScene
+} from "./orbit-propagator"
+import swarmVertexShader from "./shaders/swarm-vertex.glsl"
+import swarmFragmentShader from "./shaders/swarm-fragment.glsl"
+
+const DEG = Math.PI / 180
+const TWO_PI = 2 * Math.PI
+const DAY_MS = 86400000
+
+const ORBIT_POINTS = 48
+const BODY_RADIUS = 0.25
+const HAZARDOUS_COLOR = new THREE.Color(0xff3333)
+const DEFAULT_COLOR = new THREE.Color(0x99bbff)
+
+/**
+ * Create the instanced bodies and batched orbits for a list of catalog entries
+ * @param {Array<object>} entries - Catalog entries with elements and hazardous (see asteroid-catalog.js)
+ * @param {object} options - { scale, minRadius } as used by the app's orbitToScene
+ * @returns {object} swarm with object (THREE.Group), update(date), pick(raycaster, date),
+ *   setEntryVisible(index, visible), setOrbitsVisible(visible) and dispose()
+ */
+export const createAsteroidSwarm = (entries, options) => {
+  const { scale, minRadius } = options
+  const count = entries.length
+
+  // Per-instance elements, with the mean anomaly moved to a common reference
+  // epoch so the shader only needs days elapsed since then. Orbits known only
+  // by their shape start from perihelion there (see displayElements).
+  const orbitShape = new Float32Array(count * 4)
+  const orbitPhase = new Float32Array(count * 4)
+  entries.forEach((entry, k) => {
+    const elements = displayElements(entry.elements)
+    const n = meanMotion(elements.a_km) * 86400
+    const M = elements.M0_deg * DEG + n * (DEFAULT_EPOCH_MS - elements.epoch_ms) / DAY_MS
+    orbitShape.set([elements.a_km * scale, elements.e, elements.i_deg * DEG, elements.raan_deg * DEG], k * 4)
+    orbitPhase.set([elements.argp_deg * DEG, ((M % TWO_PI) + TWO_PI) % TWO_PI, n, BODY_RADIUS], k * 4)
+  })
+
+  const geometry = new THREE.IcosahedronGeometry(1, 1)
+  geometry.setAttribute('orbitShape', new THREE.InstancedBufferAttribute(orbitShape, 4))
+  geometry.setAttribute('orbitPhase', new THREE.InstancedBufferAttribute(orbitPhase, 4))
+  const material = new THREE.ShaderMaterial({
+    vertexShader: swarmVertexShader,
+    fragmentShader: swarmFragmentShader,
+    uniforms: {
+      uDays: { value: 0 },
+      uObliquity: { value: OBLIQUITY_J2000_DEG * DEG },
+      uMinRadius: { value: minRadius }
+    }
+  })
+  const bodies = new THREE.InstancedMesh(geometry, material, count)
+  entries.forEach((entry, k) => {
+    bodies.setColorAt(k, entry.hazardous ? HAZARDOUS_COLOR : DEFAULT_COLOR)
+  })
+  // Instances move in the shader, so the bounds and raycast of the base mesh mean nothing
+  bodies.frustumCulled = false
+  bodies.raycast = () => {}
+
+  const toScene = (position) => {
+    const point = eclipticToScene(position, scale)
+    const vector = new THREE.Vector3(point.x, point.y, point.z)
+    if (vector.length() < minRadius) {
+      vector.setLength(minRadius)
+    }
+    return vector
+  }
+
+  // All orbits as closed loops in one indexed line-segment geometry
+  const positions = new Float32Array(count * ORBIT_POINTS * 3)
+  const colors = new Float32Array(count * ORBIT_POINTS * 3)
+  const indices = new Uint32Array(count * ORBIT_POINTS * 2)
+  entries.forEach((entry, k) => {
+    const color = entry.hazardous ? HAZARDOUS_COLOR : DEFAULT_COLOR
+    sampleOrbit(entry.elements, ORBIT_POINTS).forEach((point, j) => {
+      const vertex = k * ORBIT_POINTS + j
+      toScene(point).toArray(positions, vertex * 3)
+      color.toArray(colors, vertex * 3)
+      indices[vertex * 2] = vertex
+      indices[vertex * 2 + 1] = k * ORBIT_POINTS + (j + 1) % ORBIT_POINTS
+    })
+  })
+  const orbitGeometry = new THREE.BufferGeometry()
+  orbitGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3))
+  orbitGeometry.setAttribute('color', new THREE.BufferAttribute(colors, 3))
+  orbitGeometry.setIndex(new THREE.BufferAttribute(indices, 1))
+  const orbits = new THREE.LineSegments(orbitGeometry, new THREE.LineBasicMaterial({
+    vertexColors: true,
+    transparent: true,
+    opacity: 0.25
+  }))
+  orbits.raycast = () => {}
+
+  // Entries drawn elsewhere in detail, left out of the bodies, orbits and picking
+  const hidden = new Array(count).fill(false)
+
+  const object = new THREE.Group()
+  object.add(orbits)
+  object.add(bodies)
+
+  return {
+    object,
+    entries,
+
+    // Move every body to a date; only the shader uniform changes
+    update(date) {
+      material.uniforms.uDays.value = ((date instanceof Date ? date.getTime() : date) - DEFAULT_EPOCH_MS) / DAY_MS
+    },
+
+    /**
+     * Body under a ray, with a tolerance that grows with distance so far bodies stay clickable
+     * @param {THREE.Raycaster} raycaster - Ray already set from the camera
+     * @param {Date|number} date - Current simulation date
+     * @returns {number} index into entries, or -1
+     */
+    pick(raycaster, date) {
+      const ray = raycaster.ray
+      let best = -1
+      let bestDistance = Infinity
+      entries.forEach((entry, k) => {
+        if (hidden[k]) return
+        const position = toScene(propagate(displayElements(entry.elements), date)).applyMatrix4(object.matrixWorld)
+        const along = position.clone().sub(ray.origin).dot(ray.direction)
+        if (along <= 0) return
+        const tolerance = Math.max(BODY_RADIUS * 2, along * 0.01)
+        if (ray.distanceSqToPoint(position) < tolerance * tolerance && along < bestDistance) {
+          best = k
+          bestDistance = along
+        }
+      })
+      return best
+    },
+
+    /**
+     * Show or hide one entry's body and orbit: a zero radius collapses the
+     * body and degenerate segments collapse the orbit
+     * @param {number} index - Index into entries
+     * @param {boolean} visible - Whether to draw it
+     */
+    setEntryVisible(index, visible) {
+      hidden[index] = !visible
+      orbitPhase[index * 4 + 3] = visible ? BODY_RADIUS : 0
+      geometry.attributes.orbitPhase.needsUpdate = true
+      for (let j = 0; j < ORBIT_POINTS; j++) {
+        const vertex = index * ORBIT_POINTS + j
+        indices[vertex * 2 + 1] = visible ? index * ORBIT_POINTS + (j + 1) % ORBIT_POINTS : vertex
+      }
+      orbitGeometry.index.needsUpdate = true
+    },
+
+    setOrbitsVisible(visible) {
+      orbits.visible = visible
+    },
+
+    dispose() {
+      geometry.dispose()
+      material.dispose()
+      bodies.dispose()
+      orbitGeometry.dispose()
+      orbits.material.dispose()
+    }
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * Orbit analysis against Earth: the minimum orbit intersection distance
+ * (MOID), which bounds how close the two orbits can ever bring the bodies,
+ * and the actual close approaches in a date window, where the positions of
+ * both bodies on their orbits line up.
+ */
+
+import { EARTH_ELEMENTS, positionAtTrueAnomaly, stateAt } from "./orbit-propagator"
+import { findEncounters } from "./deflection"
+
+export const LUNAR_DISTANCE_KM = 384400
+
+const TWO_PI = 2 * Math.PI
+const DAY_MS = 86400000
+
+// True anomaly grid for the coarse MOID search
+const GRID = 180
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z)
+}
+
+/**
+ * Minimum distance between two orbits, found on a true anomaly grid and
+ * refined around the best grid points by shrinking-step descent
+ * @param {object} elements - Orbital elements (see orbit-propagator.js)
+ * @param {object} other - Second orbit, Earth by default
+ * @returns {{moid_km: number, nu: number, nuOther: number}} MOID and the true anomalies (radians) where it occurs
+ */
+export function computeMoid(elements, other = EARTH_ELEMENTS) {
+  const anomalies = Array.from({ length: GRID }, (_, k) => (k / GRID) * TWO_PI)
+  const points = anomalies.map(nu => positionAtTrueAnomaly(elements, nu))
+  const otherPoints = anomalies.map(nu => positionAtTrueAnomaly(other, nu))
+
+  // Best grid pair for every point of the first orbit; orbits can have two
+  // nearly equal minima (at each node), so several candidates are refined
+  const candidates = points.map((point, j) => {
+    let best = { j, k: 0, d: Infinity }
+    otherPoints.forEach((otherPoint, k) => {
+      const d = distance(point, otherPoint)
+      if (d < best.d) best = { j, k, d }
+    })
+    return best
+  })
+  candidates.sort((a, b) => a.d - b.d)
+
+  let result = { moid_km: Infinity, nu: 0, nuOther: 0 }
+  candidates.slice(0, 4).forEach(({ j, k }) => {
+    let nu = anomalies[j]
+    let nuOther = anomalies[k]
+    let d = distance(positionAtTrueAnomaly(elements, nu), positionAtTrueAnomaly(other, nuOther))
+    let step = TWO_PI / GRID
+    while (step > 1e-9) {
+      let improved = false
+      for (const [dnu, dnuOther] of [[step, 0], [-step, 0], [0, step], [0, -step], [step, step], [-step, -step], [step, -step], [-step, step]]) {
+        const trial = distance(positionAtTrueAnomaly(elements, nu + dnu), positionAtTrueAnomaly(other, nuOther + dnuOther))
+        if (trial < d) {
+          nu += dnu
+          nuOther += dnuOther
+          d = trial
+          improved = true
+          break
+        }
+      }
+      if (!improved) step /= 2
+    }
+    if (d < result.moid_km) {
+      result = { moid_km: d, nu: ((nu % TWO_PI) + TWO_PI) % TWO_PI, nuOther: ((nuOther % TWO_PI) + TWO_PI) % TWO_PI }
+    }
+  })
+  return result
+}
+
+/**
+ * Close approaches to Earth in a date window
+ * @param {object} elements - Orbital elements
+ * @param {number} start_ms - Window start
+ * @param {number} end_ms - Window end
+ * @param {number} maxDistance_km - Leave out passes farther than this
+ * @returns {Array<{date_ms: number, distance_km: number, distance_ld: number, relativeSpeed_km_s: number}>} approaches in date order
+ * @throws {RangeError} if the elements have no mean anomaly and epoch (see hasOrbitalPhase)
+ */
+export function findCloseApproaches(elements, start_ms, end_ms, maxDistance_km = Infinity) {
+  if (!(end_ms > start_ms)) {
+    throw new RangeError('Close approach window must end after it starts')
+  }
+  return findEncounters(elements, start_ms, (end_ms - start_ms) / DAY_MS)
+    .filter(encounter => encounter.distance_km <= maxDistance_km)
+    .map(({ date_ms, distance_km }) => {
+      const asteroid = stateAt(elements, date_ms).velocity
+      const earth = stateAt(EARTH_ELEMENTS, date_ms).velocity
+      return {
+        date_ms,
+        distance_km,
+        distance_ld: distance_km / LUNAR_DISTANCE_KM,
+        relativeSpeed_km_s: distance(asteroid, earth)
+      }
+    })
+}
@@ -5,6 +5,7 @@
 
 import * as THREE from "three"
 import { getCountryKey, getCityKey, getStateProvinceKey } from './location-translator.js'
+import { reverseGeocode } from './reverse-geocoder.js'
 
 // Import i18n globally if available
 let i18n = null;
@@ -172,60 +173,125 @@ export function calculateDistance(lat1, lon1, lat2, lon2) {
 }
 
 /**
- * Get the country/region name for given coordinates using reverse geocoding API
- * Falls back to basic region detection if API fails
+ * Point reached by travelling a great-circle distance along an initial bearing
+ * @param {number} lat - Start latitude in degrees
+ * @param {number} lon - Start longitude in degrees
+ * @param {number} bearing - Initial bearing in degrees clockwise from north
+ * @param {number} distance - Distance in kilometers
+ * @returns {object} Object with lat and lon properties
+ */
+export function destinationPoint(lat, lon, bearing, distance) {
+  const R = 6371; // Earth's radius in kilometers
+  const d = distance / R;
+  const b = bearing * Math.PI / 180;
+  const lat1 = lat * Math.PI / 180;
+  const lon1 = lon * Math.PI / 180;
+  const lat2 = Math.asin(Math.sin(lat1) * Math.cos(d) + Math.cos(lat1) * Math.sin(d) * Math.cos(b));
+  const lon2 = lon1 + Math.atan2(
+    Math.sin(b) * Math.sin(d) * Math.cos(lat1),
+    Math.cos(d) - Math.sin(lat1) * Math.sin(lat2)
+  );
+
+  let lonDeg = lon2 * 180 / Math.PI;
+  if (lonDeg > 180) lonDeg -= 360;
+  if (lonDeg < -180) lonDeg += 360;
+  return { lat: lat2 * 180 / Math.PI, lon: lonDeg };
+}
+
+/**
+ * Point at along-track and cross-track offsets from a center, placed in the
+ * azimuthal equidistant projection around it so that every point keeps its
+ * true great-circle distance and bearing from the center
+ * @param {number} lat - Center latitude in degrees
+ * @param {number} lon - Center longitude in degrees
+ * @param {number} heading - Along-track direction in degrees clockwise from north
+ * @param {number} along - Offset in kilometers along the heading
+ * @param {number} cross - Offset in kilometers to the right of the heading
+ * @returns {object} Object with lat and lon properties
+ */
+export function trackPoint(lat, lon, heading, along, cross) {
+  const bearing = heading + Math.atan2(cross, along) * 180 / Math.PI;
+  return destinationPoint(lat, lon, bearing, Math.hypot(along, cross));
+}
+
+/**
+ * Intermediate point on the great circle between two points
+ * @param {number} lat1 - Latitude of first point in degrees
+ * @param {number} lon1 - Longitude of first point in degrees
+ * @param {number} lat2 - Latitude of second point in degrees
+ * @param {number} lon2 - Longitude of second point in degrees
+ * @param {number} fraction - 0 at the first point, 1 at the second
+ * @returns {object} Object with lat and lon properties
+ */
+export function interpolateGreatCircle(lat1, lon1, lat2, lon2, fraction) {
+  const a = latLonToVector3(lat1, lon1, 1);
+  const b = latLonToVector3(lat2, lon2, 1);
+  const angle = a.angleTo(b);
+  if (angle < 1e-9) return { lat: lat1, lon: lon1 };
+
+  const wa = Math.sin((1 - fraction) * angle) / Math.sin(angle);
+  const wb = Math.sin(fraction * angle) / Math.sin(angle);
+  return vector3ToLatLon(a.multiplyScalar(wa).add(b.multiplyScalar(wb)), 1);
+}
+
+/**
+ * Get the country/region name for given coordinates from the configured
+ * reverse geocoding providers (see reverse-geocoder.js)
+ * Falls back to basic region detection if no provider answers
  * @param {number} lat - Latitude in degrees
  * @param {number} lon - Longitude in degrees
  * @returns {Promise<string>} Country or region name
  */
 export async function getRegionName(lat, lon) {
-  try {
-    // Use free reverse geocoding API (no API key required)
-    const response = await fetch(
-      `https://api.bigdatacloud.net/data/reverse-geocode-client?latitude=${lat}&longitude=${lon}&localityLanguage=en`,
-      { 
-        method: 'GET',
-        headers: {
-          'Accept': 'application/json',
-        }
-      }
-    );
+  const location = await reverseGeocode(lat, lon);
+  if (location) {
+    const name = formatLocation(location);
+    if (name) return name;
+  }
+  
+  // Fallback to basic geographic detection if no provider is available
+  return getBasicRegionName(lat, lon);
+}
+
+/**
+ * Build a display name such as "Bavaria, Germany" from a geocoder result
+ * @param {object} location - Location returned by reverseGeocode
+ * @returns {string} Translated display name, or '' if the result is empty
+ */
+function formatLocation(location) {
+  if (location.country) {
+    // ISO codes map to translation keys directly; fall back to the name for unlisted countries
+    let translatedCountry = translateLocationName(location.countryCode, 'country');
+    if (!location.countryCode || translatedCountry === location.countryCode) {
+      translatedCountry = translateLocationName(location.country, 'country');
+    }
     
-    if (response.ok) {
-      const data = await response.json();
-      
-      // Extract and translate location information
-      if (data.countryName) {
-        const translatedCountry = translateLocationName(data.countryName, 'country');
-        let location = translatedCountry;
-        
-        // Add more detail if available
-        if (data.principalSubdivision && data.principalSubdivision !== data.countryName) {
-          const translatedSubdivision = translateLocationName(data.principalSubdivision, 'subdivision');
-          location = `${translatedSubdivision}, ${translatedCountry}`;
-        } else if (data.city && data.city !== data.countryName) {
-          const translatedCity = translateLocationName(data.city, 'city');
-          location = `${translatedCity}, ${translatedCountry}`;
-        }
-        
-        return location;
-      }
-      
-      // Fallback to locality if country not found
-      if (data.locality) {
-        return translateLocationName(data.locality, 'city');
-      }
+    // Add more detail if available
+    if (location.region && location.region !== location.country) {
+      const translatedSubdivision = translateLocationName(location.region, 'subdivision');
+      return `${translatedSubdivision}, ${translatedCountry}`;
     }
-  } catch (error) {
-    console.warn('Reverse geocoding failed, using fallback detection:', error.message);
+    if (location.city && location.city !== location.country) {
+      const translatedCity = translateLocationName(location.city, 'city');
+      return `${translatedCity}, ${translatedCountry}`;
+    }
+    return translatedCountry;
   }
   
-  // Fallback to basic geographic detection if API fails
-  return getBasicRegionName(lat, lon);
+  if (location.waterBody) {
+    return location.waterBody;
+  }
+  
+  // Fallback to locality if country not found
+  if (location.locality) {
+    return translateLocationName(location.locality, 'city');
+  }
+  
+  return '';
 }
 
 /**
- * Basic fallback region detection when API is unavailable
+ * Basic fallback region detection when no geocoding provider is available
  * @param {number} lat - Latitude in degrees
  * @param {number} lon - Longitude in degrees
  * @returns {string} Basic region name
@@ -288,44 +354,41 @@ export async function getDetailedLocation(lat, lon) {
     return window.locationCache[cacheKey];
   }
   
-  try {
-    const response = await fetch(
-      `https://api.bigdatacloud.net/data/reverse-geocode-client?latitude=${lat}&longitude=${lon}&localityLanguage=en`
-    );
+  const location = await reverseGeocode(lat, lon);
+  if (location) {
+    const locationInfo = {
+      country: location.country || 'Unknown',
+      countryCode: location.countryCode,
+      region: location.region,
+      regionCode: location.regionCode,
+      city: location.city,
+      locality: location.locality,
+      continent: location.continent,
+      waterBody: location.waterBody,
+      formatted: formatLocation(location) || getBasicRegionName(lat, lon),
+      coordinates: { lat, lon },
+      source: location.source
+    };
     
-    if (response.ok) {
-      const data = await response.json();
-      
-      const locationInfo = {
-        country: data.countryName || 'Unknown',
-        region: data.principalSubdivision || '',
-        city: data.city || '',
-        locality: data.locality || '',
-        continent: data.continent || '',
-        formatted: data.countryName || getBasicRegionName(lat, lon),
-        coordinates: { lat, lon },
-        source: 'API'
-      };
-      
-      // Cache the result
-      if (typeof window !== 'undefined') {
-        if (!window.locationCache) window.locationCache = {};
-        window.locationCache[cacheKey] = locationInfo;
-      }
-      
-      return locationInfo;
+    // Cache the result
+    if (typeof window !== 'undefined') {
+      if (!window.locationCache) window.locationCache = {};
+      window.locationCache[cacheKey] = locationInfo;
     }
-  } catch (error) {
-    console.warn('Detailed location lookup failed:', error.message);
+    
+    return locationInfo;
   }
   
   // Fallback
   return {
     country: getBasicRegionName(lat, lon),
+    countryCode: null,
     region: '',
+    regionCode: '',
     city: '',
     locality: '',
     continent: '',
+    waterBody: '',
     formatted: getBasicRegionName(lat, lon),
     coordinates: { lat, lon },
     source: 'Fallback'
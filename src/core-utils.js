@@ -34,6 +34,7 @@ export const getDefaultUniforms = () => {
  * Consumer needs to provide the created renderer, camera and (optional) composer to this setup function
  * This has the benefit of bringing the app configurations directly to the consumer, instead of hiding/passing them down one more layer
  * @param {object} app a custom Threejs app instance that needs to call initScene and (optioal) updateScene if animation is needed
+ * If the app has a simulationClock (see createSimulationClock), it is advanced before every updateScene call
  * @param {object} scene Threejs scene instance
  * @param {object} renderer Threejs renderer instance
  * @param {object} camera Threejs camera instance
@@ -91,6 +92,9 @@ export const runApp = (app, scene, renderer, camera, enableAnimation = false, un
         const elapsed = clock.getElapsedTime()
         uniforms.u_time.value = elapsed
 
+        if (app.simulationClock) {
+            app.simulationClock.tick(delta)
+        }
         app.updateScene(delta, elapsed)
 
         if (composer === null) {
@@ -120,6 +124,56 @@ export const runApp = (app, scene, renderer, camera, enableAnimation = false, un
         });
 }
 
+/**
+ * Creates the simulation clock that every time-dependent object reads its UTC date from.
+ * Unlike the render clock it can be paused, reversed, sped up and scrubbed to any date
+ * @param {number} startDate start date in milliseconds since the Unix epoch, def = now
+ * @param {number} rate simulated seconds per real second, def = 1
+ * @returns the clock object; read clock.date (ms UTC) or clock.getDate()
+ */
+export const createSimulationClock = (startDate = Date.now(), rate = 1) => {
+    return {
+        date: startDate,
+        anchorDate: startDate, // reference date for timeline scrubbing
+        rate: Math.abs(rate),
+        direction: Math.sign(rate) || 1,
+        playing: true,
+
+        // advance by the real time elapsed since the last frame, in seconds
+        tick(delta) {
+            if (this.playing) {
+                this.date += delta * 1000 * this.rate * this.direction
+            }
+        },
+        getDate() {
+            return new Date(this.date)
+        },
+        setDate(date) {
+            this.date = date instanceof Date ? date.getTime() : date
+        },
+        // jump to a date and make it the new scrubbing reference
+        reset(date = Date.now()) {
+            this.setDate(date)
+            this.anchorDate = this.date
+        },
+        setRate(rate) {
+            this.rate = Math.abs(rate)
+        },
+        play() {
+            this.playing = true
+        },
+        pause() {
+            this.playing = false
+        },
+        togglePlay() {
+            this.playing = !this.playing
+        },
+        reverse() {
+            this.direction = -this.direction
+        }
+    }
+}
+
 /**
  * This creates the renderer, by default calls renderer's setPixelRatio and setSize methods
  * further reading on color management: See https://www.donmccurdy.com/2020/06/17/color-management-in-threejs/
@@ -0,0 +1,176 @@
+/**
+ * Kinetic-impactor deflection planning (DART-style). A spacecraft hits the
+ * asteroid some lead time before its next close approach to Earth; the
+ * momentum it delivers, multiplied by the enhancement factor β for ejecta
+ * thrown off the crater, changes the asteroid's velocity along its path. The
+ * perturbed orbit is propagated to the same encounter to get the new miss
+ * distance. Both bodies follow two-body orbits around the Sun, so planetary
+ * perturbations and Earth's gravity during the flyby are ignored.
+ */
+
+import { AU_KM, EARTH_ELEMENTS, elementsFromState, propagate, stateAt } from "./orbit-propagator"
+
+export const EARTH_RADIUS_KM = 6371
+
+// Pass distance that counts as a close approach, the usual 0.05 AU hazard threshold
+export const CLOSE_APPROACH_AU = 0.05
+
+const DAY_MS = 86400000
+
+/**
+ * Mass of a spherical asteroid
+ * @param {number} diameter_m - Diameter in meters
+ * @param {number} density - Bulk density in kg/m³
+ * @returns {number} mass in kg
+ */
+export function asteroidMass(diameter_m, density) {
+  return density * Math.PI / 6 * diameter_m ** 3
+}
+
+/**
+ * Velocity change delivered by a kinetic impactor: Δv = β·m·U / M
+ * @param {object} impactor - { spacecraftMass_kg, relativeVelocity_m_s, beta }
+ * @param {number} asteroidMass_kg - Target mass in kg
+ * @returns {number} Δv in m/s
+ */
+export function kineticImpactDeltaV(impactor, asteroidMass_kg) {
+  return impactor.beta * impactor.spacecraftMass_kg * impactor.relativeVelocity_m_s / asteroidMass_kg
+}
+
+/**
+ * Distance between an orbiting body and the Earth
+ * @param {object} elements - Orbital elements (see orbit-propagator.js)
+ * @param {number} date_ms - Date in milliseconds since the Unix epoch
+ * @returns {number} distance in km
+ */
+export function earthDistance(elements, date_ms) {
+  const body = propagate(elements, date_ms)
+  const earth = propagate(EARTH_ELEMENTS, date_ms)
+  return Math.hypot(body.x - earth.x, body.y - earth.y, body.z - earth.z)
+}
+
+// Golden-section search for the minimum distance between two dates
+function refineMinimum(elements, start_ms, end_ms) {
+  const ratio = (Math.sqrt(5) - 1) / 2
+  let a = start_ms
+  let b = end_ms
+  let c = b - ratio * (b - a)
+  let d = a + ratio * (b - a)
+  while (b - a > 1000) {
+    if (earthDistance(elements, c) < earthDistance(elements, d)) {
+      b = d
+    } else {
+      a = c
+    }
+    c = b - ratio * (b - a)
+    d = a + ratio * (b - a)
+  }
+  const date_ms = (a + b) / 2
+  return { date_ms, distance_km: earthDistance(elements, date_ms) }
+}
+
+/**
+ * All local minima of the Earth distance in a time window, found on a daily
+ * grid and refined to about a second
+ * @param {object} elements - Orbital elements
+ * @param {number} start_ms - Window start
+ * @param {number} days - Window length in days
+ * @param {number} stepDays - Grid spacing in days
+ * @returns {Array<{date_ms: number, distance_km: number}>} encounters in date order
+ */
+export function findEncounters(elements, start_ms, days, stepDays = 1) {
+  const step = stepDays * DAY_MS
+  const count = Math.ceil(days / stepDays)
+  const distances = []
+  for (let k = 0; k <= count; k++) {
+    distances.push(earthDistance(elements, start_ms + k * step))
+  }
+
+  const encounters = []
+  for (let k = 1; k < count; k++) {
+    if (distances[k] <= distances[k - 1] && distances[k] < distances[k + 1]) {
+      const t = start_ms + k * step
+      encounters.push(refineMinimum(elements, t - step, t + step))
+    }
+  }
+  return encounters
+}
+
+/**
+ * Next close approach after a date: the first encounter inside
+ * CLOSE_APPROACH_AU, or the closest one in the window if none is that close
+ * @param {object} elements - Orbital elements
+ * @param {number} start_ms - Search start
+ * @param {number} horizonDays - How far ahead to look
+ * @returns {{date_ms: number, distance_km: number}|null} encounter, or null if the distance never has a minimum
+ * @throws {RangeError} if the elements have no mean anomaly and epoch (see hasOrbitalPhase)
+ */
+export function nextCloseApproach(elements, start_ms, horizonDays = 3652) {
+  const encounters = findEncounters(elements, start_ms, horizonDays)
+  if (encounters.length === 0) return null
+  const close = encounters.find(encounter => encounter.distance_km < CLOSE_APPROACH_AU * AU_KM)
+  return close || encounters.reduce((best, encounter) => (encounter.distance_km < best.distance_km ? encounter : best))
+}
+
+/**
+ * Plan a kinetic-impactor deflection against the next close approach
+ * @param {object} elements - Asteroid orbital elements
+ * @param {object} asteroid - { diameter_m, density }
+ * @param {object} impactor - { spacecraftMass_kg, relativeVelocity_m_s, beta, leadTime_days }
+ * @param {number} start_ms - Current date; the impact cannot happen before it
+ * @returns {object|null} { closeApproach, deflectedApproach, impactDate_ms, leadTime_days,
+ *   asteroidMass_kg, deltaV_m_s, deflectedElements }, or null if there is no approach to deflect
+ * @throws {RangeError} if the elements have no mean anomaly and epoch (see hasOrbitalPhase)
+ */
+export function planDeflection(elements, asteroid, impactor, start_ms) {
+  const closeApproach = nextCloseApproach(elements, start_ms)
+  if (!closeApproach) return null
+
+  const impactDate_ms = Math.max(start_ms, closeApproach.date_ms - impactor.leadTime_days * DAY_MS)
+  const asteroidMass_kg = asteroidMass(asteroid.diameter_m, asteroid.density)
+  const deltaV_m_s = kineticImpactDeltaV(impactor, asteroidMass_kg)
+
+  // Push along the direction of motion: that changes the orbital period, and
+  // with it the arrival time, the most for a given Δv
+  const { position, velocity } = stateAt(elements, impactDate_ms)
+  const speed = Math.hypot(velocity.x, velocity.y, velocity.z)
+  const scale = 1 + deltaV_m_s / 1000 / speed
+  const deflectedElements = elementsFromState(
+    position,
+    { x: velocity.x * scale, y: velocity.y * scale, z: velocity.z * scale },
+    impactDate_ms
+  )
+
+  // The encounter shifts by hours to days; look for it around the original date
+  const window_ms = 30 * DAY_MS
+  const deflectedApproach = refineMinimum(deflectedElements, closeApproach.date_ms - window_ms, closeApproach.date_ms + window_ms)
+
+  return {
+    closeApproach,
+    deflectedApproach,
+    impactDate_ms,
+    leadTime_days: (closeApproach.date_ms - impactDate_ms) / DAY_MS,
+    asteroidMass_kg,
+    deltaV_m_s,
+    deflectedElements
+  }
+}
+
+/**
+ * Geocentric path of a body around a date, for drawing the encounter
+ * @param {object} elements - Orbital elements
+ * @param {number} center_ms - Middle of the path
+ * @param {number} halfSpanDays - Days before and after
+ * @param {number} count - Number of points
+ * @returns {Array<{x: number, y: number, z: number}>} ecliptic offsets from the Earth in km
+ */
+export function geocentricPath(elements, center_ms, halfSpanDays = 5, count = 200) {
+  const points = []
+  for (let k = 0; k < count; k++) {
+    const t = center_ms + ((k / (count - 1)) * 2 - 1) * halfSpanDays * DAY_MS
+    const body = propagate(elements, t)
+    const earth = propagate(EARTH_ELEMENTS, t)
+    points.push({ x: body.x - earth.x, y: body.y - earth.y, z: body.z - earth.z })
+  }
+  return points
+}
@@ -0,0 +1,67 @@
+/**
+ * Earth rotation and Sun position from a UTC date, using the low-precision
+ * formulas of the Astronomical Almanac (good to ~0.01° over 1950-2050).
+ */
+
+const DEG = Math.PI / 180
+const J2000_JD = 2451545.0
+
+/**
+ * Julian date of a UTC instant
+ * @param {Date|number} date - Date or milliseconds since the Unix epoch
+ * @returns {number} Julian date
+ */
+export function julianDate(date) {
+  const ms = date instanceof Date ? date.getTime() : date
+  return ms / 86400000 + 2440587.5
+}
+
+function wrapDegrees(angle) {
+  return ((angle % 360) + 360) % 360
+}
+
+/**
+ * Greenwich mean sidereal time, i.e. how far the prime meridian has turned
+ * past the vernal equinox
+ * @param {Date|number} date - UTC date
+ * @returns {number} rotation angle in radians (0 to 2π)
+ */
+export function greenwichSiderealAngle(date) {
+  const d = julianDate(date) - J2000_JD
+  return wrapDegrees(280.46061837 + 360.98564736629 * d) * DEG
+}
+
+/**
+ * Point on Earth where the Sun is directly overhead
+ * @param {Date|number} date - UTC date
+ * @returns {object} { lat, lon } in degrees, plus declination (degrees)
+ *   and equationOfTime (minutes, apparent minus mean solar time)
+ */
+export function subsolarPoint(date) {
+  const d = julianDate(date) - J2000_JD
+
+  // Mean longitude and mean anomaly of the Sun
+  const L = wrapDegrees(280.460 + 0.9856474 * d)
+  const g = wrapDegrees(357.528 + 0.9856003 * d) * DEG
+
+  // Ecliptic longitude and obliquity
+  const lambda = (L + 1.915 * Math.sin(g) + 0.020 * Math.sin(2 * g)) * DEG
+  const epsilon = (23.439 - 0.0000004 * d) * DEG
+
+  const declination = Math.asin(Math.sin(epsilon) * Math.sin(lambda)) / DEG
+  const rightAscension = wrapDegrees(Math.atan2(Math.cos(epsilon) * Math.sin(lambda), Math.cos(lambda)) / DEG)
+
+  // 1° of hour angle is 4 minutes of time
+  let eotDegrees = L - rightAscension
+  if (eotDegrees > 180) eotDegrees -= 360
+  if (eotDegrees < -180) eotDegrees += 360
+  const equationOfTime = 4 * eotDegrees
+
+  // At 12:00 apparent solar time the Sun is over the local meridian
+  const ms = date instanceof Date ? date.getTime() : date
+  const utcHours = (((ms % 86400000) + 86400000) % 86400000) / 3600000
+  let lon = -15 * (utcHours - 12 + equationOfTime / 60)
+  lon = wrapDegrees(lon + 180) - 180
+
+  return { lat: declination, lon, declination, equationOfTime }
+}
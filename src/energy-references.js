@@ -0,0 +1,59 @@
+/**
+ * Historical events and weapons to put an impact's energy in perspective:
+ * "≈ N× Hiroshima" comparisons and a log-scale ladder placing the impact
+ * among the references. Energies are in kilotons of TNT, like computeAll's
+ * energy_kt; each key names its label in the locale files (ui.energy_ref_<key>).
+ */
+
+export const ENERGY_REFERENCES = [
+  { key: 'hiroshima', energy_kt: 15 },
+  // Airburst of a ~19 m asteroid (Brown et al. 2013)
+  { key: 'chelyabinsk', energy_kt: 500 },
+  // Published estimates run from 3 to 15 Mt
+  { key: 'tunguska', energy_kt: 1e4 },
+  { key: 'tsar_bomba', energy_kt: 5e4 },
+  // 1883 eruption
+  { key: 'krakatoa', energy_kt: 2e5 },
+  // About 600 EJ of primary energy a year
+  { key: 'world_energy', energy_kt: 1.4e8 },
+  // About 4 × 10^23 J (Collins et al. 2005)
+  { key: 'chicxulub', energy_kt: 1e11 }
+]
+
+// Ends of the ladder: one ton of TNT to well past Chicxulub
+const SCALE_MIN_KT = 1e-3
+const SCALE_MAX_KT = 1e12
+
+/**
+ * Multiples of Hiroshima and of the reference closest in energy, if that is another one
+ * @param {number} energy_kt - Impact energy in kilotons
+ * @returns {Array<object>} [{ key, energy_kt, ratio }], Hiroshima first
+ */
+export function compareEnergy(energy_kt) {
+  const distance = entry => Math.abs(Math.log10(energy_kt / entry.energy_kt))
+  const hiroshima = ENERGY_REFERENCES.find(entry => entry.key === 'hiroshima')
+  const nearest = ENERGY_REFERENCES.reduce((best, entry) => (distance(entry) < distance(best) ? entry : best))
+  return (nearest === hiroshima ? [hiroshima] : [hiroshima, nearest])
+    .map(entry => ({ ...entry, ratio: energy_kt / entry.energy_kt }))
+}
+
+/**
+ * Position of an energy on the ladder's log scale
+ * @param {number} energy_kt - Energy in kilotons
+ * @returns {number} fraction of the scale, clamped to [0, 1]
+ */
+export function energyScalePosition(energy_kt) {
+  const position = Math.log10(energy_kt / SCALE_MIN_KT) / Math.log10(SCALE_MAX_KT / SCALE_MIN_KT)
+  return Math.min(Math.max(position, 0), 1)
+}
+
+/**
+ * The references and the impact in order of energy, each with its position on the log scale
+ * @param {number} energy_kt - Impact energy in kilotons
+ * @returns {Array<object>} rows { key, energy_kt, position }; the impact's key is 'impact'
+ */
+export function energyLadder(energy_kt) {
+  return [...ENERGY_REFERENCES, { key: 'impact', energy_kt }]
+    .sort((a, b) => a.energy_kt - b.energy_kt)
+    .map(entry => ({ ...entry, position: energyScalePosition(entry.energy_kt) }))
+}
@@ -0,0 +1,108 @@
+/**
+ * Hazard ratings for a predicted impact: the Torino scale (Binzel 2000, as
+ * revised by Morrison et al. 2004), the 0–10 category used to communicate a
+ * threat to the public, and the Palermo technical scale (Chesley et al. 2002),
+ * which compares the impact probability with the background chance of an
+ * impact at least as energetic happening before the predicted date.
+ */
+
+import ImpactZones from "./impactZones.js"
+
+const MT_TO_KT = 1000
+const YEAR_MS = 365.25 * 86400000
+
+// The Torino scale only rates encounters within the next century
+export const TORINO_HORIZON_YEARS = 100
+
+// Chart colors: white, green, yellow (2-4), orange (5-7), red (8-10)
+export const TORINO_COLORS = [
+  '#ffffff', '#4caf50',
+  '#ffeb3b', '#ffeb3b', '#ffeb3b',
+  '#ff9800', '#ff9800', '#ff9800',
+  '#f44336', '#f44336', '#f44336'
+]
+
+/**
+ * Kinetic energy an impact would release
+ * @param {number|null} diameter_m - Diameter in meters
+ * @param {number|null} speed_km_s - Impact speed in km/s
+ * @param {number} density - Bulk density in kg/m³
+ * @returns {number|null} energy in megatons of TNT, or null if the size or speed is unknown
+ */
+export function impactEnergyMt(diameter_m, speed_km_s, density) {
+  if (diameter_m === null || speed_km_s === null) return null
+  return ImpactZones.energyToKT(ImpactZones.kineticEnergyJ(diameter_m, density, speed_km_s * 1000)) / MT_TO_KT
+}
+
+/**
+ * Yearly frequency of impacts at least this energetic, f_B = 0.03 · E^(-4/5)
+ * @param {number} energy_mt - Impact energy in megatons
+ * @returns {number} impacts per year
+ */
+export function backgroundImpactFrequency(energy_mt) {
+  return 0.03 * energy_mt ** -0.8
+}
+
+/**
+ * Palermo scale value, PS = log10(P / (f_B · ΔT))
+ * @param {number} probability - Impact probability
+ * @param {number} energy_mt - Impact energy in megatons
+ * @param {number} years - Time until the impact in years
+ * @returns {number|null} scale value, or null without a positive probability and lead time
+ */
+export function palermoScale(probability, energy_mt, years) {
+  if (!(probability > 0) || !(energy_mt > 0) || !(years > 0)) return null
+  return Math.log10(probability / (backgroundImpactFrequency(energy_mt) * years))
+}
+
+/**
+ * Torino scale category. The chart's zones are read as straight lines on the
+ * log-log plane: anything under 1 Mt is 0, a probability of 1 % or more is 3
+ * to 7 by energy (100 Mt and 10^5 Mt split the columns, 10 % the rows), a
+ * certain impact is 8 to 10, and below 1 % the green and yellow zones are
+ * bounded by lines of slope -4 through (0.01 %, 1 Mt) and (1 %, 1 Mt).
+ * @param {number} probability - Impact probability
+ * @param {number} energy_mt - Impact energy in megatons
+ * @param {number} years - Time until the impact in years
+ * @returns {number} integer category 0-10
+ */
+export function torinoScale(probability, energy_mt, years) {
+  if (!(probability > 0) || !(energy_mt >= 1) || years > TORINO_HORIZON_YEARS) return 0
+  const logP = Math.log10(probability)
+  const logE = Math.log10(energy_mt)
+
+  if (probability >= 0.99) {
+    return logE < 3 ? 8 : (logE < 5 ? 9 : 10)
+  }
+  if (logP >= -2) {
+    if (logE < 2) return 3
+    if (logE < 5) return logP < -1 ? 4 : 5
+    return logP < -1 ? 6 : 7
+  }
+  if (logE >= -4 * (logP + 2)) return 2
+  if (logE >= -4 * (logP + 4)) return 1
+  return 0
+}
+
+/**
+ * Both ratings for an object and a predicted impact
+ * @param {object} params - { diameter_m, speed_km_s, density, probability, date_ms, now_ms }
+ * @returns {object} { energy_mt, years, torino, palermo, color }; torino and palermo are
+ *   null when the energy is unknown or the date is not in the future
+ */
+export function assessHazard(params) {
+  const { diameter_m, speed_km_s, density, probability, date_ms, now_ms = Date.now() } = params
+  const energy_mt = impactEnergyMt(diameter_m, speed_km_s, density)
+  const years = (date_ms - now_ms) / YEAR_MS
+  if (energy_mt === null || !(years > 0)) {
+    return { energy_mt, years, torino: null, palermo: null, color: TORINO_COLORS[0] }
+  }
+  const torino = torinoScale(probability, energy_mt, years)
+  return {
+    energy_mt,
+    years,
+    torino,
+    palermo: palermoScale(probability, energy_mt, years),
+    color: TORINO_COLORS[torino]
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * Hypothetical collision geometry for an asteroid at its next encounter with
+ * Earth. The asteroid's velocity relative to Earth at the encounter gives v∞
+ * and the radiant it arrives from; Earth's gravity bends the incoming
+ * hyperbola, so every point of the target plane (b-plane, perpendicular to v∞)
+ * inside the capture radius maps to an entry point, speed and angle.
+ *
+ * Entry is taken at the top of the atmosphere. The risk corridor is the ζ axis
+ * of the b-plane (Öpik/Valsecchi coordinates): small errors in the asteroid's
+ * orbit mostly shift its arrival time, which moves the b-plane crossing along
+ * that axis, so the possible impact points form a line across the globe.
+ */
+
+import { EARTH_ELEMENTS, OBLIQUITY_J2000_DEG, stateAt } from "./orbit-propagator"
+import { greenwichSiderealAngle } from "./earth-orientation"
+import { EARTH_RADIUS_KM } from "./deflection"
+
+export const GM_EARTH_KM3_S2 = 398600.4418
+export const ENTRY_ALTITUDE_KM = 100
+
+const DEG = Math.PI / 180
+const ENTRY_RADIUS_KM = EARTH_RADIUS_KM + ENTRY_ALTITUDE_KM
+
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z
+const scale = (a, k) => ({ x: a.x * k, y: a.y * k, z: a.z * k })
+const add = (a, b) => ({ x: a.x + b.x, y: a.y + b.y, z: a.z + b.z })
+const cross = (a, b) => ({ x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x })
+const unit = (a) => scale(a, 1 / Math.hypot(a.x, a.y, a.z))
+
+// Ecliptic direction to Earth-fixed equatorial coordinates at a date
+function toEarthFixed(vector, date_ms) {
+  const eps = OBLIQUITY_J2000_DEG * DEG
+  const yEq = vector.y * Math.cos(eps) - vector.z * Math.sin(eps)
+  const zEq = vector.y * Math.sin(eps) + vector.z * Math.cos(eps)
+  const theta = greenwichSiderealAngle(date_ms)
+  return {
+    x: vector.x * Math.cos(theta) + yEq * Math.sin(theta),
+    y: -vector.x * Math.sin(theta) + yEq * Math.cos(theta),
+    z: zEq
+  }
+}
+
+function wrapLongitude(lon) {
+  return ((lon + 540) % 360) - 180
+}
+
+/**
+ * Encounter geometry of an asteroid with Earth
+ * @param {object} elements - Asteroid orbital elements (see orbit-propagator.js)
+ * @param {number} date_ms - Encounter date, normally the close approach from deflection.js
+ * @returns {object} { date_ms, vInfinity_km_s, entrySpeed_km_s, captureRadius_km,
+ *   radiant: {lat, lon}, axes: {eta, xi, zeta} } with the b-plane axes as ecliptic unit vectors
+ * @throws {RangeError} if the elements have no mean anomaly and epoch (see hasOrbitalPhase)
+ */
+export function encounterGeometry(elements, date_ms) {
+  const asteroid = stateAt(elements, date_ms).velocity
+  const earth = stateAt(EARTH_ELEMENTS, date_ms).velocity
+  const relative = add(asteroid, scale(earth, -1))
+  const vInfinity_km_s = Math.hypot(relative.x, relative.y, relative.z)
+
+  // η along the relative velocity, ζ opposite to Earth's motion projected on the b-plane
+  const eta = unit(relative)
+  const zeta = unit(scale(add(earth, scale(eta, -dot(earth, eta))), -1))
+  const xi = cross(zeta, eta)
+
+  const entrySpeed_km_s = Math.sqrt(vInfinity_km_s ** 2 + 2 * GM_EARTH_KM3_S2 / ENTRY_RADIUS_KM)
+
+  // The radiant is where the asteroid comes from, opposite to its relative velocity
+  const radiant = toEarthFixed(scale(eta, -1), date_ms)
+
+  return {
+    date_ms,
+    vInfinity_km_s,
+    entrySpeed_km_s,
+    // Gravitational focusing widens the target beyond Earth's radius
+    captureRadius_km: ENTRY_RADIUS_KM * entrySpeed_km_s / vInfinity_km_s,
+    radiant: {
+      lat: Math.asin(radiant.z) / DEG,
+      lon: Math.atan2(radiant.y, radiant.x) / DEG
+    },
+    axes: { eta, xi, zeta }
+  }
+}
+
+/**
+ * Entry point for a b-plane crossing
+ * @param {object} geometry - Result of encounterGeometry
+ * @param {number} xi_km - b-plane ξ coordinate
+ * @param {number} zeta_km - b-plane ζ coordinate
+ * @returns {object|null} { lat, lon, angle_deg (above horizontal), azimuth_deg (direction of travel,
+ *   clockwise from north), speed_km_s }, or null if the asteroid misses
+ */
+export function entryPoint(geometry, xi_km, zeta_km) {
+  const { vInfinity_km_s: vInf, entrySpeed_km_s: speed, axes } = geometry
+  const b = Math.hypot(xi_km, zeta_km)
+  if (b >= geometry.captureRadius_km) return null
+
+  // Hyperbola with angular momentum b·v∞: the entry direction is turned from
+  // the incoming asymptote by the true anomaly swept from infinity to entry
+  const mu = GM_EARTH_KM3_S2
+  const p = (b * vInf) ** 2 / mu
+  const e = Math.sqrt(1 + (b * vInf ** 2 / mu) ** 2)
+  const nuInfinity = Math.acos(-1 / e)
+  const nuEntry = -Math.acos(Math.min(1, Math.max(-1, (p / ENTRY_RADIUS_KM - 1) / e)))
+  const swept = nuInfinity + nuEntry
+
+  // The position starts out along -η and turns toward the b-plane offset
+  const offset = b > 0 ? add(scale(axes.xi, xi_km / b), scale(axes.zeta, zeta_km / b)) : axes.zeta
+  const up = add(scale(axes.eta, -Math.cos(swept)), scale(offset, Math.sin(swept)))
+  const forward = add(scale(axes.eta, Math.sin(swept)), scale(offset, Math.cos(swept)))
+
+  const r = toEarthFixed(up, geometry.date_ms)
+  const t = toEarthFixed(forward, geometry.date_ms)
+  const lat = Math.asin(r.z)
+  const lon = Math.atan2(r.y, r.x)
+  const east = { x: -Math.sin(lon), y: Math.cos(lon), z: 0 }
+  const north = { x: -Math.sin(lat) * Math.cos(lon), y: -Math.sin(lat) * Math.sin(lon), z: Math.cos(lat) }
+  const azimuth = Math.atan2(dot(t, east), dot(t, north)) / DEG
+
+  return {
+    lat: lat / DEG,
+    lon: wrapLongitude(lon / DEG),
+    // Horizontal speed at entry is h / r, so cos(angle) = b·v∞ / (r·v)
+    angle_deg: Math.acos(Math.min(1, b * vInf / (ENTRY_RADIUS_KM * speed))) / DEG,
+    azimuth_deg: (azimuth + 360) % 360,
+    speed_km_s: speed
+  }
+}
+
+/**
+ * Possible entry points along the ζ axis of the b-plane, from one grazing edge to the other
+ * @param {object} geometry - Result of encounterGeometry
+ * @param {number} count - Number of points
+ * @returns {Array<object>} entry points (see entryPoint) with their zeta_km
+ */
+export function riskCorridor(geometry, count = 181) {
+  const points = []
+  // Stop just short of the edge, where the entry angle reaches zero
+  const edge = geometry.captureRadius_km * 0.999
+  for (let k = 0; k < count; k++) {
+    const zeta_km = ((k / (count - 1)) * 2 - 1) * edge
+    points.push({ ...entryPoint(geometry, 0, zeta_km), zeta_km })
+  }
+  return points
+}
+
+/**
+ * Entry point on the risk corridor with a given entry angle. 45° is the most
+ * likely angle for a random impact (Shoemaker 1962)
+ * @param {object} geometry - Result of encounterGeometry
+ * @param {number} angle_deg - Entry angle above the horizontal
+ * @returns {object} entry point (see entryPoint) with its zeta_km
+ */
+export function corridorPointAtAngle(geometry, angle_deg = 45) {
+  const zeta_km = ENTRY_RADIUS_KM * geometry.entrySpeed_km_s * Math.cos(angle_deg * DEG) / geometry.vInfinity_km_s
+  return { ...entryPoint(geometry, 0, zeta_km), zeta_km }
+}
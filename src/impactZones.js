@@ -4,6 +4,29 @@
 // wind, and seismic effects — but with *damage-level thresholds*
 // instead of 50 % mortality midpoints.
 // Fireball remains true 50 % mortality (PHI0).
+// Atmospheric entry (ablation, drag, breakup and pancake spreading) follows
+// Collins, Melosh & Marcus (2005) and decides between airburst and ground impact.
+// Ocean impacts open a water cavity and launch a tsunami (Ward & Asphaug 2000,
+// as simplified by Collins et al. 2005).
+// Bodies that break up shed fragments whose separation (Passey & Melosh 1980)
+// and mass-sorted dark flight spread meteorites over an elongated strewn field.
+// Oblique impacts stretch the crater, thermal and blast footprints downrange
+// and give ejecta an uprange forbidden zone and butterfly wings.
+// Craters wider than ~3.2 km collapse into complex craters with a central peak;
+// depth, rim, breccia lens and melt follow Collins et al. (2005) Eqs. 22–27 and 41.
+// Ejecta thin out with distance as McGetchin et al. (1973) and land after a
+// ballistic flight over the curved Earth (Collins et al. 2005).
+// Thermal exposure from the radiating fireball (Collins et al. 2005) is cut by
+// the horizon at long range; burn and ignition radii use their Table 2 thresholds.
+// Each hazard reaches an observer on its own clock: light at once, seismic waves
+// at 5 km/s, the air blast at about the speed of sound, ejecta after their
+// ballistic flight and the tsunami at the shallow-water wave speed.
+// Shaking is mapped to Modified Mercalli intensity from the effective magnitude
+// at each distance (Collins et al. 2005, Table 3).
+// How often an impact this energetic happens comes from the same paper's
+// recurrence fit (Collins et al. 2005, Eq. 3).
+// Casualty estimates combine Rumpf's thermal, overpressure and wind
+// vulnerability curves with total loss inside the crater.
 // -----------------------------------------------------------------------------
 
 const ImpactZones = (function () {
@@ -13,12 +36,19 @@ const ImpactZones = (function () {
   const P_ATM = 101325;
   const C0 = 340;
 
+  // Set while computeAll runs with { quiet: true }, as the Monte Carlo runs do, so
+  // thousands of draws outside a model's range don't flood the console
+  let quiet = false;
+  function warn(...args) {
+    if (!quiet) console.warn(...args);
+  }
+
   function bisect(fn, lo, hi, tol = 1e-6, maxIter = 200) {
     let fLo = fn(lo), fHi = fn(hi);
     
     // Check for invalid inputs
     if (!isFinite(fLo) || !isFinite(fHi)) {
-      console.warn('bisect: Non-finite function values at bounds', { lo, hi, fLo, fHi });
+      warn('bisect: Non-finite function values at bounds', { lo, hi, fLo, fHi });
       return NaN;
     }
     
@@ -37,7 +67,7 @@ const ImpactZones = (function () {
       }
       // If still not bracketed, return a fallback value
       if (fLo * fHi > 0) {
-        console.warn('bisect: root not bracketed after search expansion', { lo, hi, fLo, fHi });
+        warn('bisect: root not bracketed after search expansion', { lo, hi, fLo, fHi });
         return lo; // Return lower bound as fallback
       }
     }
@@ -46,7 +76,7 @@ const ImpactZones = (function () {
       const mid = 0.5 * (lo + hi);
       const fMid = fn(mid);
       if (!isFinite(fMid)) {
-        console.warn('bisect: Non-finite function value at midpoint', { mid, fMid });
+        warn('bisect: Non-finite function value at midpoint', { mid, fMid });
         return mid;
       }
       if (Math.abs(fMid) < tol) return mid;
@@ -61,27 +91,515 @@ const ImpactZones = (function () {
     return 0.5 * m * v * v;
   }
   function energyToKT(E) { return E / KT_TO_J; }
+  // Collins et al. (2005) Eq. 3 — mean years between impacts of at least this
+  // energy anywhere on Earth, T_RE ≈ 109 · E_Mt^0.78
+  function recurrenceInterval(E) {
+    return 109 * (E / KT_TO_J / 1000) ** 0.78;
+  }
 
   function transientCraterDiameter(L0, rho_i, rho_t, v, gamma_deg) {
     const s = Math.sin((gamma_deg * Math.PI) / 180);
     return 1.161 * (rho_i / rho_t) ** (1 / 3) *
       L0 ** 0.78 * v ** 0.44 * G0 ** -0.22 * s ** (1 / 3);
   }
-  function finalCraterDiameter(Dtc) { return 1.25 * Dtc; }
+  // --- Crater morphology -----------------------------------------------------
+  const SIMPLE_COMPLEX_TRANSITION_M = 3200;  // D_c on Earth
+  const CENTRAL_PEAK_FRACTION = 0.22;        // central peak / final diameter (Pike 1985)
+
+  // Collins et al. (2005) Eqs. 22 and 27 — simple craters widen by rim collapse,
+  // complex craters by the collapse of the whole transient cavity
+  function finalCraterDiameter(Dtc) {
+    const simple = 1.25 * Dtc;
+    if (simple <= SIMPLE_COMPLEX_TRANSITION_M) return simple;
+    return 1.17 * Dtc ** 1.13 / SIMPLE_COMPLEX_TRANSITION_M ** 0.13;
+  }
+
+  /**
+   * Final shape of a crater
+   * @param {number} Dtc - Transient crater diameter (m)
+   * @param {number} E_J - Kinetic energy delivered to the target (J)
+   * @param {number} gamma_deg - Impact angle above the horizontal
+   * @returns {object} { type: 'simple'|'complex', D_final_m, depth_m (floor below the
+   *   original surface), rimHeight_m, brecciaThickness_m (simple craters only, else null),
+   *   meltVolume_m3, centralPeakDiameter_m (0 for simple craters) }
+   */
+  function craterMorphology(Dtc, E_J, gamma_deg) {
+    const Dfr = finalCraterDiameter(Dtc);
+    const rimHeight = 0.07 * Dtc ** 4 / Dfr ** 3;                   // Eq. 24
+    const meltVolume = 8.9e-12 * E_J * Math.sin((gamma_deg * Math.PI) / 180);  // Eq. 41
+    if (1.25 * Dtc <= SIMPLE_COMPLEX_TRANSITION_M) {
+      // Breccia from the collapsed walls fills the bottom of the transient bowl (Eqs. 23–26)
+      const dtc = Dtc / (2 * Math.SQRT2);
+      const brecciaVolume = 0.032 * Dfr ** 3;
+      const breccia = 2.8 * brecciaVolume * (dtc + rimHeight) / (dtc * Dfr ** 2);
+      return {
+        type: 'simple',
+        D_final_m: Dfr,
+        depth_m: dtc + rimHeight - breccia,
+        rimHeight_m: rimHeight,
+        brecciaThickness_m: breccia,
+        meltVolume_m3: meltVolume,
+        centralPeakDiameter_m: 0
+      };
+    }
+    return {
+      type: 'complex',
+      D_final_m: Dfr,
+      depth_m: 294 * (Dfr / 1000) ** 0.301,                          // Eq. 27, in km
+      rimHeight_m: rimHeight,
+      brecciaThickness_m: null,
+      meltVolume_m3: meltVolume,
+      centralPeakDiameter_m: CENTRAL_PEAK_FRACTION * Dfr
+    };
+  }
+
+  // --- Ejecta blanket ---------------------------------------------------------
+  const EJECTA_LEVELS_M = [10, 1, 0.1, 0.01];  // deposit thickness contours
+  const SIGNIFICANT_EJECTA_M = 0.01;           // thinner deposits are not counted as debris
+
+  // Collins et al. (2005) Eq. 28 — thickness at distance r from the crater center
+  function ejectaThickness(Dtc, r) {
+    return Dtc ** 4 / (112 * r ** 3);
+  }
+
+  // Distance from the crater center where the deposit thins to a given thickness
+  function ejectaRange(Dtc, thickness_m) {
+    return Math.cbrt(Dtc ** 4 / (112 * thickness_m));
+  }
+
+  // Flight time of ejecta thrown out at 45° to land at ground range r
+  // (Collins et al. 2005 Eqs. 30–33: an elliptical orbit over a spherical Earth)
+  function ejectaArrivalTime(r) {
+    const delta = Math.min(r / Re, Math.PI * 0.999);
+    const tanHalf = Math.tan(delta / 2);
+    const nu = (2 * tanHalf) / (1 + tanHalf);        // v² / (g·Re) at launch
+    const a = Re / (2 - nu);
+    const e = Math.sqrt(0.5 + 0.5 * (nu - 1) ** 2);
+    const E = Math.acos((nu - 1) / e);               // eccentric anomaly at launch and landing
+    return 2 * Math.sqrt(a ** 3 / (G0 * Re * Re)) * (Math.PI - E + e * Math.sin(E));
+  }
+
+  /**
+   * Ejecta deposit around a crater
+   * @param {number} Dtc - Transient crater diameter (m)
+   * @param {number} Dfr - Final crater diameter (m)
+   * @returns {object|null} { rimThickness_m, contours: [{thickness_m, radius_m, fromRim_m, arrival_s}],
+   *   maxRange_m, maxRangeArrival_s }, with radii from the crater center; null without a crater
+   */
+  function ejectaBlanket(Dtc, Dfr) {
+    if (!(Dtc > 0)) return null;
+    const rim = Dfr / 2;
+    const contours = EJECTA_LEVELS_M
+      .map(thickness_m => ({ thickness_m, radius_m: ejectaRange(Dtc, thickness_m) }))
+      .filter(contour => contour.radius_m > rim)
+      .map(contour => ({ ...contour, fromRim_m: contour.radius_m - rim, arrival_s: ejectaArrivalTime(contour.radius_m) }));
+    const maxRange = Math.max(ejectaRange(Dtc, SIGNIFICANT_EJECTA_M), rim);
+    return {
+      rimThickness_m: ejectaThickness(Dtc, rim),
+      contours,
+      maxRange_m: maxRange,
+      maxRangeArrival_s: ejectaArrivalTime(maxRange)
+    };
+  }
+
+  // --- Atmospheric entry ------------------------------------------------------
+  const RHO_ATM0 = 1;        // kg/m³  surface density (Collins et al. 2005)
+  const H_ATM = 8000;        // m      scale height
+  const C_DRAG = 2;          //        drag coefficient
+  const C_HEAT = 0.1;        //        heat-transfer coefficient
+  const Q_ABLATION = 8e6;    // J/kg   heat of ablation
+  const PANCAKE_FACTOR = 7;  //        burst when the debris cloud reaches 7 × L0
+  const ENTRY_ALTITUDE = 100000;
+  const ENTRY_STEP_M = 50;   // altitude step of the integrator
+
+  function atmosphericDensity(z) { return RHO_ATM0 * Math.exp(-z / H_ATM); }
+
+  // Collins et al. (2005) Eq. 9 — yield strength from bulk density
+  function yieldStrength(rho_i) {
+    return 10 ** (2.107 + 0.0624 * Math.sqrt(rho_i));
+  }
+
+  // Impactor materials: bulk density and the ram pressure at which the body
+  // first breaks up (Popova et al. 2011 for stones; Collins et al. 2005 for the rest).
+  // 'auto' keeps the density-based strength of yieldStrength.
+  const MATERIALS = {
+    auto: { density: null, strength_Pa: null },
+    cometary: { density: 1000, strength_Pa: 1e4 },
+    carbonaceous: { density: 2200, strength_Pa: 1e5 },
+    stony: { density: 3300, strength_Pa: 1e6 },
+    iron: { density: 7800, strength_Pa: 5e7 }
+  };
+
+  /**
+   * Integrate the impactor from 100 km down to the ground or to its burst altitude.
+   * Intact bodies ablate and decelerate; once ram pressure exceeds the yield
+   * strength the body breaks up and the debris cloud spreads laterally
+   * (d²L/dt² = C_D ρ v² / (ρ_i L), Collins Eq. 12) until it reaches
+   * PANCAKE_FACTOR × L0 (airburst) or the ground (ground impact).
+   * @param {object} p - { L0_m, rho_i, v_ms, gamma_deg, strength_Pa? }
+   * @returns {object} entry summary, altitudes in m and velocities in m/s
+   */
+  function atmosphericEntry(p) {
+    const { L0_m, rho_i, v_ms, gamma_deg = 45 } = p;
+    const strength = p.strength_Pa || yieldStrength(rho_i);
+    const sinG = Math.max(Math.sin((gamma_deg * Math.PI) / 180), 1e-3);
+    const m0 = rho_i * (Math.PI / 6) * L0_m ** 3;
+
+    // L is the (intact or spreading) diameter, u = dL/dt
+    let z = ENTRY_ALTITUDE, v = v_ms, m = m0, L = L0_m, u = 0;
+    let breakupAltitude = null, breakupVelocity = null, burstAltitude = null, burstVelocity = null;
+    let peakRamPressure = 0;
+
+    const derivs = (zz, vv, mm, LL, broken) => {
+      const rhoA = atmosphericDensity(zz);
+      const area = (Math.PI / 4) * LL * LL;
+      return {
+        dv: -C_DRAG * rhoA * area * vv * vv / (2 * mm) + G0 * sinG,
+        dm: -C_HEAT * rhoA * area * vv ** 3 / (2 * Q_ABLATION),
+        du: broken ? C_DRAG * rhoA * vv * vv / (rho_i * LL) : 0
+      };
+    };
+
+    while (z > 0) {
+      const ramPressure = atmosphericDensity(z) * v * v;
+      peakRamPressure = Math.max(peakRamPressure, ramPressure);
+      if (breakupAltitude === null && ramPressure > strength) {
+        breakupAltitude = z;
+        breakupVelocity = v;
+      }
+      const broken = breakupAltitude !== null;
+
+      // midpoint (RK2) step over a fixed altitude interval
+      const dz = Math.min(ENTRY_STEP_M, z);
+      const dt = dz / (v * sinG);
+      const k1 = derivs(z, v, m, L, broken);
+      const vMid = v + 0.5 * dt * k1.dv;
+      const mMid = Math.max(m + 0.5 * dt * k1.dm, 1e-9 * m0);
+      const LMid = L + 0.5 * dt * u;
+      const uMid = u + 0.5 * dt * k1.du;
+      const k2 = derivs(z - 0.5 * dz, vMid, mMid, LMid, broken);
+      v += dt * k2.dv;
+      m = Math.max(m + dt * k2.dm, 1e-9 * m0);
+      L += dt * uMid;
+      u += dt * k2.du;
+      z -= dz;
+
+      if (broken && L >= PANCAKE_FACTOR * L0_m) {
+        burstAltitude = z;
+        burstVelocity = v;
+        break;
+      }
+      // fully decelerated remnants fall at terminal velocity
+      if (v < 0.01 * v_ms || v < 100) break;
+    }
+
+    const isAirburst = burstAltitude !== null && burstAltitude > 0;
+    return {
+      type: isAirburst ? 'airburst' : 'ground',
+      strength_Pa: strength,
+      breakupAltitude_m: breakupAltitude,
+      breakupVelocity_ms: breakupVelocity,
+      peakRamPressure_Pa: peakRamPressure,
+      burstAltitude_m: isAirburst ? burstAltitude : 0,
+      burstVelocity_ms: isAirburst ? burstVelocity : null,
+      surfaceVelocity_ms: isAirburst ? 0 : Math.max(v, 0),
+      surfaceMass_kg: isAirburst ? 0 : m,
+      massFraction: m / m0,
+      surfaceEnergy_J: isAirburst ? 0 : 0.5 * m * v * v
+    };
+  }
+
+  // --- Fragmentation and strewn field -------------------------------------------
+  const WEIBULL_ALPHA = 0.25;      // strength ∝ mass^-α for smaller pieces (Weibull scaling)
+  const SEPARATION_C = 1;          // Passey & Melosh (1980) dispersion coefficient (0.02–1.5)
+  const MAX_FRAGMENTS = 1e7;
+  const MIN_FRAGMENT_KG = 1e-3;
+  const LARGEST_FRAGMENT_FRACTION = 0.1;
+  const FRAGMENT_MASS_DECADES = [-3, -2, -1, 0, 1, 2];
+
+  /**
+   * Flight of one fragment from the breakup point to the ground, with drag,
+   * gravity and the sideways separation speed; ablation of fragments is ignored
+   * @returns {object} { downrange_m, crossrange_m, time_s, impactSpeed_ms }
+   */
+  function fragmentFlight(mass, rho_i, v0, gamma_deg, z0, lateral_ms) {
+    const area = (Math.PI / 4) * Math.cbrt(6 * mass / (Math.PI * rho_i)) ** 2;
+    const k = C_DRAG * area / (2 * mass);
+    const g = (gamma_deg * Math.PI) / 180;
+    // x downrange, y crossrange, z up
+    let x = 0, y = 0, z = z0, t = 0;
+    let vx = v0 * Math.cos(g), vy = lateral_ms, vz = -v0 * Math.sin(g);
+
+    const accel = (zz, ax, ay, az) => {
+      const drag = k * atmosphericDensity(Math.max(zz, 0)) * Math.hypot(ax, ay, az);
+      return [-drag * ax, -drag * ay, -drag * az - G0];
+    };
+
+    while (z > 0 && t < 3600) {
+      const [ax, ay, az] = accel(z, vx, vy, vz);
+      const speed = Math.hypot(vx, vy, vz);
+      // Step short against the deceleration time, and never more than 100 m of fall
+      const dt = Math.min(0.1 * speed / Math.hypot(ax, ay, az), 100 / Math.max(-vz, 1), 1);
+      const [mx, my, mz] = accel(z + 0.5 * dt * vz, vx + 0.5 * dt * ax, vy + 0.5 * dt * ay, vz + 0.5 * dt * az);
+      x += dt * (vx + 0.5 * dt * ax);
+      y += dt * (vy + 0.5 * dt * ay);
+      z += dt * (vz + 0.5 * dt * az);
+      vx += dt * mx;
+      vy += dt * my;
+      vz += dt * mz;
+      t += dt;
+    }
+    return { downrange_m: x, crossrange_m: Math.abs(y), time_s: t, impactSpeed_ms: Math.hypot(vx, vy, vz) };
+  }
+
+  /**
+   * Fragment count, dispersion ellipse and strewn field of a body that broke up.
+   * Pieces keep breaking while the ram pressure exceeds their size-dependent
+   * strength, so the typical fragment is the one whose strength matches the
+   * peak ram pressure. Fragments separate sideways at V_T = v·√(1.5·C·ρ_a/ρ_i)
+   * (Passey & Melosh 1980) and then fly on by mass: small ones stop short in
+   * the air, large ones carry on toward the target, which sorts the field along track.
+   * Distances along track are measured from the target point, negative uprange.
+   * @param {object} p - computeAll parameters
+   * @param {object} entry - atmosphericEntry result
+   * @returns {object|null} fragmentation summary, or null if the body never broke up
+   *   or reached the ground fast enough to crater (computeAll's test), since it then
+   *   hits as one swarm rather than raining meteorites
+   */
+  function fragmentation(p, entry) {
+    if (entry.breakupAltitude_m === null) return null;
+    if (entry.type === 'ground' && entry.surfaceVelocity_ms > 0) return null;
+    const { L0_m, rho_i, gamma_deg = 45 } = p;
+    const m0 = rho_i * (Math.PI / 6) * L0_m ** 3;
+    const z_b = entry.breakupAltitude_m;
+    const v_b = entry.breakupVelocity_ms;
+
+    const fragments = Math.min(Math.max((entry.peakRamPressure_Pa / entry.strength_Pa) ** (1 / WEIBULL_ALPHA), 1), MAX_FRAGMENTS);
+    const typicalMass = m0 / fragments;
+    const separation_ms = v_b * Math.sqrt(1.5 * SEPARATION_C * atmosphericDensity(z_b) / rho_i);
+
+    // The straight entry path reaches the ground z_b / tan γ past the breakup point
+    const tanG = Math.tan((Math.max(gamma_deg, 1) * Math.PI) / 180);
+    const breakupOffset = -z_b / tanG;
+
+    const masses = [...new Set(FRAGMENT_MASS_DECADES
+      .map(decade => Math.min(Math.max(typicalMass * 10 ** decade, MIN_FRAGMENT_KG), LARGEST_FRAGMENT_FRACTION * m0)))];
+    const landings = masses.map(mass => {
+      const flight = fragmentFlight(mass, rho_i, v_b, gamma_deg, z_b, separation_ms);
+      return {
+        mass_kg: mass,
+        alongTrack_m: breakupOffset + flight.downrange_m,
+        crossTrack_m: flight.crossrange_m,
+        flightTime_s: flight.time_s,
+        impactSpeed_ms: flight.impactSpeed_ms
+      };
+    });
+
+    const along = landings.map(l => l.alongTrack_m);
+    const uprange = Math.min(...along);
+    const downrange = Math.max(...along);
+    const halfWidth = Math.max(...landings.map(l => l.crossTrack_m), 1);
+    return {
+      fragments,
+      typicalFragmentMass_kg: typicalMass,
+      separationVelocity_ms: separation_ms,
+      breakupOffset_m: breakupOffset,
+      landings,
+      // Ellipse around the landing points, centred between the two ends of the field
+      strewnField: {
+        center_m: (uprange + downrange) / 2,
+        semiMajor_m: Math.max((downrange - uprange) / 2, halfWidth),
+        semiMinor_m: halfWidth,
+        length_m: downrange - uprange,
+        width_m: 2 * halfWidth
+      }
+    };
+  }
+
+  // --- Oblique impact footprints -------------------------------------------------
+  // Craters stay round down to ~12° above the horizontal and then stretch along
+  // the trajectory (Gault & Wedekind 1978; Elbeshausen et al. 2013). Ejecta
+  // leave a forbidden zone uprange below ~45° and fold into two cross-range
+  // wings below ~15°. The vapour plume runs downrange (Schultz 1996), which
+  // stretches the thermal and blast footprints as the entry gets shallower.
+  const CRATER_ELLIPTICITY_ANGLE = 12;
+  const FORBIDDEN_ZONE_ANGLE = 45;
+  const BUTTERFLY_ANGLE = 15;
+  const MIN_BUTTERFLY_ANGLE = 5;
+  const MAX_ELONGATION = 4;
+  const MAX_EJECTA_CUT = 0.9;
+
+  const clamp01 = (x) => Math.min(Math.max(x, 0), 1);
+
+  /**
+   * Shape of a damage footprint for an impact angle. Ellipses keep the area of
+   * the circular zone they replace, so the zone radius stays a fair summary.
+   * @param {string} kind - 'crater', 'thermal', 'blast', 'ejecta' or 'seismic'
+   * @param {number} gamma_deg - Impact angle above the horizontal
+   * @param {number} azimuth_deg - Direction of travel, clockwise from north
+   * @returns {object} { kind, shape: 'circle'|'ellipse'|'butterfly', azimuth_deg,
+   *   elongation (length/width), downrangeShift (of the center, in radii),
+   *   uprangeCut and downrangeCut (fraction of the ejecta radius removed) }
+   */
+  function impactFootprint(kind, gamma_deg, azimuth_deg = 0) {
+    const g = Math.min(Math.max(gamma_deg, 1), 90);
+    const sinG = Math.sin((g * Math.PI) / 180);
+    const footprint = {
+      kind, shape: 'circle', azimuth_deg, elongation: 1, downrangeShift: 0, uprangeCut: 0, downrangeCut: 0
+    };
+    let elongation = 1;
+    if (kind === 'crater' && g < CRATER_ELLIPTICITY_ANGLE) {
+      elongation = Math.sqrt(CRATER_ELLIPTICITY_ANGLE / g);
+    } else if (kind === 'thermal') {
+      elongation = sinG ** (-1 / 3);
+    } else if (kind === 'blast') {
+      elongation = sinG ** (-1 / 6);
+    } else if (kind === 'ejecta' && g < FORBIDDEN_ZONE_ANGLE) {
+      footprint.shape = 'butterfly';
+      footprint.uprangeCut = MAX_EJECTA_CUT * clamp01((FORBIDDEN_ZONE_ANGLE - g) / (FORBIDDEN_ZONE_ANGLE - BUTTERFLY_ANGLE));
+      footprint.downrangeCut = MAX_EJECTA_CUT * clamp01((BUTTERFLY_ANGLE - g) / (BUTTERFLY_ANGLE - MIN_BUTTERFLY_ANGLE));
+      return footprint;
+    }
+    if (elongation > 1.001) {
+      footprint.shape = 'ellipse';
+      footprint.elongation = Math.min(elongation, MAX_ELONGATION);
+      // Plume-driven effects reach further downrange than uprange
+      if (kind !== 'crater') {
+        const k = Math.sqrt(footprint.elongation);
+        footprint.downrangeShift = (k - 1 / k) / 2;
+      }
+    }
+    return footprint;
+  }
+
+  /**
+   * Outline of a footprint around the impact point
+   * @param {object} footprint - Result of impactFootprint
+   * @param {number} radius_m - Radius of the circular zone it replaces
+   * @param {number} segments - Number of segments of the closed outline
+   * @param {number} baseRadius_m - For butterfly patterns, the radius they start from (the crater
+   *   rim); only the extent beyond it is cut back
+   * @returns {Array<{along_m: number, cross_m: number}>} points, along-track positive downrange
+   *   and cross-track positive to the right of the direction of travel
+   */
+  function footprintOutline(footprint, radius_m, segments = 64, baseRadius_m = 0) {
+    const k = Math.sqrt(footprint.elongation);
+    const points = [];
+    for (let i = 0; i <= segments; i++) {
+      const t = (i / segments) * 2 * Math.PI;
+      const c = Math.cos(t), s = Math.sin(t);
+      if (footprint.shape === 'butterfly') {
+        const r = baseRadius_m + (radius_m - baseRadius_m)
+          * (1 - footprint.uprangeCut * Math.max(-c, 0) ** 2)
+          * (1 - footprint.downrangeCut * Math.max(c, 0) ** 2);
+        points.push({ along_m: r * c, cross_m: r * s });
+      } else {
+        points.push({ along_m: radius_m * (footprint.downrangeShift + k * c), cross_m: radius_m * s / k });
+      }
+    }
+    return points;
+  }
+
+  // Horizontal range on the ground for a slant range measured from a burst altitude
+  function groundRange(slant_m, altitude_m) {
+    if (!altitude_m) return slant_m;
+    return slant_m > altitude_m ? Math.sqrt(slant_m * slant_m - altitude_m * altitude_m) : 0;
+  }
 
   const PHI0 = 731641.664; // J/m²  (50 % mortality, keep)
   function fireball50Radius(E_j, eta = 1e-3) {
     return Math.sqrt((eta * E_j) / (2 * Math.PI * PHI0));
   }
 
+  // --- Thermal radiation -------------------------------------------------------
+  const FIREBALL_TEMPERATURE = 3000; // K, T* of the radiating fireball
+  const SIGMA_SB = 5.670e-8;
+
+  // Collins et al. (2005) Eqs. 32–34 — fireball radius and thermal pulse duration
+  function fireballRadius(E) {
+    return 0.002 * Math.cbrt(E);
+  }
+  function thermalPulseDuration(E, eta) {
+    return (eta * E) / (2 * Math.PI * fireballRadius(E) ** 2 * SIGMA_SB * FIREBALL_TEMPERATURE ** 4);
+  }
+
+  // Fraction of the fireball above the observer's horizon (Collins et al. 2005 Eqs. 36–37);
+  // a burst at altitude lifts the fireball, so the horizon has to drop further to hide it
+  function fireballVisibleFraction(E, D, burstAltitude = 0) {
+    const Rf = fireballRadius(E);
+    const h = (1 - Math.cos(Math.min(D / Re, Math.PI))) * Re - burstAltitude;
+    if (h >= Rf) return 0;
+    if (h <= 0) return 1;
+    const delta = Math.acos(h / Rf);
+    return (2 / Math.PI) * (delta - (h / Rf) * Math.sin(delta));
+  }
+
+  // Ground range from which the fireball is still above the horizon
+  function fireballHorizonRange(E, burstAltitude = 0) {
+    return Re * Math.acos(1 - Math.min((fireballRadius(E) + burstAltitude) / Re, 2));
+  }
+
+  /**
+   * Radiant energy per unit area reaching the ground, Collins et al. (2005) Eq. 35
+   * with the part of the fireball below the horizon taken out
+   * @param {number} E - Energy released (J)
+   * @param {number} eta - Luminous efficiency
+   * @param {number} D - Ground distance from the impact point or below the burst (m)
+   * @param {number} burstAltitude - Burst altitude (m), 0 for ground impacts
+   * @returns {number} thermal exposure in J/m²
+   */
+  function thermalExposure(E, eta, D, burstAltitude = 0) {
+    const slant = Math.max(Math.hypot(D, burstAltitude), 1e-3);
+    return fireballVisibleFraction(E, D, burstAltitude) * eta * E / (2 * Math.PI * slant * slant);
+  }
+
+  // Exposure that ignites or burns for a 1 Mt event, Collins et al. (2005) Table 2.
+  // Longer pulses from larger events give skin and fuel time to shed heat, so the
+  // thresholds grow as E^1/6 (E in Mt).
+  const THERMAL_LEVELS = [
+    { level: 'burn2', phi1Mt_J_m2: 0.25e6 },     // second-degree burns
+    { level: 'grass', phi1Mt_J_m2: 0.38e6 },     // grass ignites
+    { level: 'burn3', phi1Mt_J_m2: 0.42e6 },     // third-degree burns
+    { level: 'wood', phi1Mt_J_m2: 0.67e6 },      // plywood bursts into flame
+    { level: 'clothing', phi1Mt_J_m2: 1.0e6 }    // clothing ignites
+  ];
+  function thermalThreshold(phi1Mt, E) {
+    return phi1Mt * Math.pow(Math.max(energyToKT(E) / 1000, 1e-12), 1 / 6);
+  }
+  function thermalRadius(E, eta, phi, burstAltitude = 0) {
+    if (!(E > 0) || thermalExposure(E, eta, 0, burstAltitude) <= phi) return 0;
+    const hi = Math.min(fireballHorizonRange(E, burstAltitude), Math.PI * Re);
+    if (thermalExposure(E, eta, hi, burstAltitude) >= phi) return hi;
+    const result = bisect((D) => thermalExposure(E, eta, D, burstAltitude) / phi - 1, 0, hi, 1e-6, 200);
+    return isNaN(result) ? 0 : result;
+  }
+
+  // Peak overpressure, Collins et al. (2005) Eqs. 54–57. Distances are scaled to
+  // a 1 kt burst (Z = D / W^1/3); airbursts use the regular-reflection fit inside
+  // the Mach stem radius and the surface-burst curve outside it. Above the fit's
+  // validity (scaled burst height > 550 m) the surface curve is applied to the
+  // slant range, which joins the fit continuously.
   const PX_REF = 75000, DX_REF = 290;
-  function overpressureAtDistance(D, E) {
+  function surfaceBurstOverpressure(Z) {
+    return (PX_REF * DX_REF / (4 * Z)) * (1 + 3 * (DX_REF / Z) ** 1.3);
+  }
+  function overpressureAtDistance(D, E, burstAltitude = 0) {
     const Wkt = Math.max(energyToKT(E), 1e-12);
-    const Z = D / Math.pow(Wkt, 1 / 3);
-    return PX_REF * Math.exp(-D / DX_REF);
+    const Z = Math.max(D, 1e-3) / Math.pow(Wkt, 1 / 3);
+    if (!burstAltitude) return surfaceBurstOverpressure(Z);
+
+    const zb = burstAltitude / Math.pow(Wkt, 1 / 3);
+    if (zb >= 550) return surfaceBurstOverpressure(Math.hypot(Z, zb));
+    const Zm = 550 * zb / (1.2 * (550 - zb));
+    if (Z < Zm) {
+      const p0 = 3.14e11 * zb ** -2.6;
+      const beta = 34.87 * zb ** -1.73;
+      return p0 * Math.exp(-beta * Z);
+    }
+    return surfaceBurstOverpressure(Z);
   }
-  function overpressureRadius(E, pTarget) {
-    const f = (D) => overpressureAtDistance(D, E) - pTarget;
+  function overpressureRadius(E, pTarget, burstAltitude = 0) {
+    const f = (D) => overpressureAtDistance(D, E, burstAltitude) - pTarget;
     let lo = 1, hi = 1000;
     
     // Ensure we have a proper bracket
@@ -89,7 +607,7 @@ const ImpactZones = (function () {
     
     // Check if target pressure is achievable
     if (f(lo) < 0 && f(hi) < 0) {
-      console.warn('overpressureRadius: Target pressure too high', { pTarget, E });
+      warn('overpressureRadius: Target pressure too high', { pTarget, E });
       return 0; // No damage radius if pressure never reached
     }
     
@@ -110,16 +628,89 @@ const ImpactZones = (function () {
     // Check if wind speed is achievable
     const maxWind = windFromOverpressure(1e7); // Very high pressure
     if (u > maxWind) {
-      console.warn('pFromWind: Wind speed too high', { u, maxWind });
+      warn('pFromWind: Wind speed too high', { u, maxWind });
       return 1e7; // Return max pressure
     }
     
     const result = bisect(f, 1e-3, 1e7, 1e-6, 200);
     return isNaN(result) ? 0 : result;
   }
-  function windRadius(E, uTarget) {
+  function windRadius(E, uTarget, burstAltitude = 0) {
     const pNeeded = pFromWind(uTarget);
-    return overpressureRadius(E, pNeeded);
+    return overpressureRadius(E, pNeeded, burstAltitude);
+  }
+
+  // --- Ocean impacts and tsunami -----------------------------------------------
+  const RHO_WATER = 1000;
+  const C_DRAG_WATER = 0.877;      // drag coefficient in the water column (Collins et al. 2005)
+  const OCEAN_MEAN_DEPTH = 3700;   // m, depth used for open-ocean propagation
+  const SHORE_DEPTH = 10;          // m, depth at which run-up is evaluated
+  const TSUNAMI_MIN_AMPLITUDE = 0.1;  // m, below this no arrival contour is drawn
+  const TSUNAMI_CONTOUR_HOURS = [0.25, 0.5, 1, 2, 4, 8, 12, 18];
+
+  // Collins et al. (2005) Eq. 21 with water-target constants
+  function waterCavityDiameter(L0, rho_i, v, gamma_deg) {
+    const s = Math.sin((gamma_deg * Math.PI) / 180);
+    return 1.365 * (rho_i / RHO_WATER) ** (1 / 3) *
+      L0 ** 0.78 * v ** 0.44 * G0 ** -0.22 * s ** (1 / 3);
+  }
+
+  // Velocity left when the impactor reaches the seafloor (Collins Eq. 22)
+  function seafloorVelocity(L0, rho_i, v, gamma_deg, depth) {
+    const s = Math.max(Math.sin((gamma_deg * Math.PI) / 180), 1e-3);
+    return v * Math.exp(-3 * RHO_WATER * C_DRAG_WATER * depth / (2 * rho_i * L0 * s));
+  }
+
+  /**
+   * Tsunami source from a water impact: the rim wave of the transient cavity and
+   * the later collapse wave, whichever is larger at a given distance.
+   * @returns {object} source description consumed by the tsunami* helpers
+   */
+  function tsunamiSource(L0, rho_i, v, gamma_deg, depth) {
+    const D = waterCavityDiameter(L0, rho_i, v, gamma_deg);
+    const d = D / (2 * Math.SQRT2);
+    const wavelength = 2 * D;
+    const k = 2 * Math.PI / wavelength;
+    // deep-water dispersion, tends to √(gH) for waves much longer than the depth
+    const waveSpeed = Math.sqrt((G0 / k) * Math.tanh(k * OCEAN_MEAN_DEPTH));
+    return {
+      waterDepth_m: depth,
+      cavityDiameter_m: D,
+      cavityDepth_m: d,
+      rimAmplitude_m: Math.min(D / 14.1, depth),
+      collapseAmplitude_m: 0.06 * Math.min(d, depth),
+      // never slower than the 1/r decay of the rim wave, even in shallow water
+      collapseDecay: Math.max(1, 3 * Math.exp(-0.8 * L0 / depth)),
+      wavelength_m: wavelength,
+      waveSpeed_ms: waveSpeed
+    };
+  }
+
+  function tsunamiAmplitudeAtDistance(source, r) {
+    const rRim = 0.75 * source.cavityDiameter_m;
+    const rCollapse = 2.5 * source.cavityDiameter_m;
+    const rim = source.rimAmplitude_m * Math.min(1, rRim / r);
+    const collapse = source.collapseAmplitude_m * Math.min(1, (rCollapse / r) ** source.collapseDecay);
+    return Math.max(rim, collapse);
+  }
+
+  function tsunamiArrivalTime(source, r) {
+    return r / source.waveSpeed_ms;
+  }
+
+  // Shoaling to SHORE_DEPTH with Green's law, A ∝ H^(-1/4); taken as the run-up height
+  function tsunamiRunup(source, r) {
+    return tsunamiAmplitudeAtDistance(source, r) * (OCEAN_MEAN_DEPTH / SHORE_DEPTH) ** 0.25;
+  }
+
+  function tsunamiArrivalContours(source) {
+    return TSUNAMI_CONTOUR_HOURS
+      .map(h => {
+        const radius = Math.min(source.waveSpeed_ms * h * 3600, Math.PI * Re);
+        return { t_s: h * 3600, radius_m: radius, amplitude_m: tsunamiAmplitudeAtDistance(source, radius) };
+      })
+      .filter((c, i, all) => c.amplitude_m >= TSUNAMI_MIN_AMPLITUDE &&
+        (i === 0 || all[i - 1].radius_m < Math.PI * Re));
   }
 
   function globalMagnitudeFromEnergy(E) {
@@ -138,7 +729,7 @@ const ImpactZones = (function () {
     // In this case, there's no distance where we achieve the target
     if (M < MeffTarget) {
       // Only log warning once per calculation to avoid spam
-      if (!seismicRadius._warnedLowMagnitude) {
+      if (!quiet && !seismicRadius._warnedLowMagnitude) {
         console.warn('seismicRadius: Impact magnitude too low for damage threshold', { MeffTarget, M });
         seismicRadius._warnedLowMagnitude = true;
       }
@@ -160,25 +751,259 @@ const ImpactZones = (function () {
     return isNaN(result) ? 0 : result;
   }
 
+  // Vulnerability curves, Rumpf (2016) Eqs. 3.79, 3.82 and 3.87: logistic in the
+  // local fluence, overpressure or wind speed. They are offset so that zero
+  // exposure gives zero mortality (the raw thermal curve gives ~1.6 % at φ = 0).
+  function logisticVulnerability(x, k, x50) {
+    const v = (x) => 1 / (1 + Math.exp(-k * (x - x50)));
+    const v0 = v(0);
+    return Math.max(0, (v(x) - v0) / (1 - v0));
+  }
+  const K_THERMAL = 0.00000562327, K_OVERPRESSURE = 0.0000242498102, K_WIND = 0.05483;
+  const P50_OVERPRESSURE = 440430.986, U50_WIND = 112.4;
+
+  // Fraction of people killed at ground distance D from the impact point or
+  // below the burst, assuming the thermal, blast and wind hazards act independently
+  function mortalityAtDistance(zones, D) {
+    if (D <= zones.crater.D_final_m / 2) return 1;
+
+    const E = zones.energyReleased_J;
+    const h = zones.burstAltitude_m || 0;
+    const slant = Math.hypot(D, h);
+    const fluence = zones.luminousEfficiency * E / (2 * Math.PI * slant * slant);
+    const p = overpressureAtDistance(D, E, h);
+
+    const survival = (1 - logisticVulnerability(fluence, K_THERMAL, PHI0)) *
+                     (1 - logisticVulnerability(p, K_OVERPRESSURE, P50_OVERPRESSURE)) *
+                     (1 - logisticVulnerability(windFromOverpressure(p), K_WIND, U50_WIND));
+    return 1 - survival;
+  }
+
   const P_DAMAGE_OVERPRESSURE = 500;  // Pa (~0.07 psi) - light structural effects, windows may crack
   const V_DAMAGE_WIND = 10;           // m/s (~22 mph) - noticeable wind, light debris movement
   const MEFF_DAMAGE = 7.0;            // moderate earthquake damage
 
+  // Effective magnitude at which each Modified Mercalli intensity sets in,
+  // read off the magnitude–intensity bands of Collins et al. (2005) Table 3
+  const MMI_LEVELS = [
+    { level: 'IV', Meff: 4.0 },   // felt indoors, dishes and windows rattle
+    { level: 'V', Meff: 4.5 },    // felt by nearly everyone, small objects fall
+    { level: 'VI', Meff: 5.0 },   // furniture moves, plaster cracks
+    { level: 'VII', Meff: 6.0 },  // poorly built structures damaged
+    { level: 'VIII', Meff: 6.5 }, // partial collapse of ordinary buildings
+    { level: 'IX', Meff: 7.0 },   // well-designed buildings damaged, shifted off foundations
+    { level: 'X', Meff: 7.5 }     // most masonry destroyed, rails bent
+  ];
+
+  // Blast damage levels (Glasstone & Dolan 1977)
+  const OVERPRESSURE_LEVELS = [
+    { level: 'windows', p_Pa: 6900 },        // 1 psi  - windows shatter
+    { level: 'collapse', p_Pa: 34500 },      // 5 psi  - most residential buildings collapse
+    { level: 'destruction', p_Pa: 138000 }   // 20 psi - reinforced concrete destroyed
+  ];
+  // Peak wind levels behind the shock front
+  const WIND_LEVELS = [
+    { level: 'hurricane', u_ms: 33 },        // hurricane-force, trees and roofs damaged
+    { level: 'severe', u_ms: 62 },           // EF3 tornado-strength winds
+    { level: 'lethal', u_ms: 112.4 }         // Rumpf (2016) 50 % mortality midpoint
+  ];
+
+  // --- Effects timeline at an observer ----------------------------------------
+  const C_LIGHT = 299792458;
+  const SEISMIC_WAVE_SPEED = 5000;   // m/s, Collins et al. (2005)
+  /**
+   * When each hazard reaches an observer and how strong it is there
+   * @param {object} zones - computeAll result
+   * @param {number} D - Ground distance from the impact point or below the burst (m)
+   * @param {object} options - { coastal, sheltered } for the tsunami: whether the observer is on
+   *   the coast, and whether land blocks the open-water path from the impact
+   * @returns {Array<object>} entries in order of arrival, each { effect, arrival_s, duration_s }
+   *   plus thermal { fluence_J_m2 }, seismic { magnitude }, blast { overpressure_Pa, wind_ms },
+   *   ejecta { thickness_m } or tsunami { runup_m }
+   */
+  function effectsTimeline(zones, D, options = {}) {
+    const E = zones.energyReleased_J;
+    const h = zones.burstAltitude_m || 0;
+    const slant = Math.hypot(D, h);
+    const entries = [];
+
+    const fluence = thermalExposure(E, zones.luminousEfficiency, D, h);
+    if (fluence > 0) {
+      entries.push({
+        effect: 'thermal',
+        arrival_s: slant / C_LIGHT,
+        duration_s: thermalPulseDuration(E, zones.luminousEfficiency),
+        fluence_J_m2: fluence
+      });
+    }
+    if (zones.event !== 'airburst' && E > 0) {
+      entries.push({
+        effect: 'seismic',
+        arrival_s: D / SEISMIC_WAVE_SPEED,
+        duration_s: null,
+        magnitude: MeffAtDistance(globalMagnitudeFromEnergy(E), D)
+      });
+    }
+    const overpressure = overpressureAtDistance(D, E, h);
+    entries.push({
+      effect: 'blast',
+      arrival_s: slant / C0,
+      duration_s: null,
+      overpressure_Pa: overpressure,
+      wind_ms: windFromOverpressure(overpressure)
+    });
+    const ejecta = zones.ejecta;
+    if (ejecta && D > zones.crater.D_final_m / 2 && D <= ejecta.maxRange_m) {
+      entries.push({
+        effect: 'ejecta',
+        arrival_s: ejectaArrivalTime(D),
+        duration_s: null,
+        thickness_m: ejectaThickness(zones.crater.D_transient_m, D)
+      });
+    }
+    if (zones.tsunami && options.coastal) {
+      entries.push({
+        effect: 'tsunami',
+        arrival_s: tsunamiArrivalTime(zones.tsunami, D),
+        duration_s: null,
+        runup_m: options.sheltered ? 0 : tsunamiRunup(zones.tsunami, D)
+      });
+    }
+    return entries.sort((a, b) => a.arrival_s - b.arrival_s);
+  }
+
+  /**
+   * Ground radius a hazard front has reached t seconds after impact, for animating
+   * the timeline; null once the front has passed out of range or for hazards the event lacks
+   * @param {object} zones - computeAll result
+   * @param {string} effect - 'thermal', 'seismic', 'blast', 'ejecta' or 'tsunami'
+   * @param {number} t - Seconds since impact
+   * @returns {number|null} radius in meters
+   */
+  function effectRadiusAt(zones, effect, t) {
+    const h = zones.burstAltitude_m || 0;
+    const maxRange = Math.PI * Re;
+    switch (effect) {
+      case 'thermal':
+        // Light covers the whole visible range at once and lasts for the pulse
+        return t <= thermalPulseDuration(zones.energyReleased_J, zones.luminousEfficiency)
+          ? Math.min(fireballHorizonRange(zones.energyReleased_J, h), maxRange)
+          : null;
+      case 'seismic':
+        return zones.event === 'airburst' ? null : Math.min(SEISMIC_WAVE_SPEED * t, maxRange);
+      case 'blast':
+        return C0 * t > h ? Math.min(Math.sqrt((C0 * t) ** 2 - h * h), maxRange) : 0;
+      case 'ejecta': {
+        const ejecta = zones.ejecta;
+        if (!ejecta || t > ejecta.maxRangeArrival_s) return null;
+        const rim = zones.crater.D_final_m / 2;
+        if (t <= ejectaArrivalTime(rim)) return rim;
+        return bisect(r => ejectaArrivalTime(r) - t, rim, ejecta.maxRange_m, 0.01, 100);
+      }
+      case 'tsunami':
+        return zones.tsunami ? Math.min(zones.tsunami.waveSpeed_ms * t, maxRange) : null;
+      default:
+        return null;
+    }
+  }
+
   function computeAll(p) {
-    const { L0_m, rho_i, rho_t = 2500, v_ms, gamma_deg = 45, luminousEfficiency = 1e-3 } = p;
+    const outer = quiet;
+    quiet = quiet || p.quiet === true;
+    try {
+      return computeZones(p);
+    } finally {
+      quiet = outer;
+    }
+  }
+
+  function computeZones(p) {
+    const {
+      L0_m, rho_i, rho_t = 2500, v_ms, gamma_deg = 45, azimuth_deg = 0, luminousEfficiency = 1e-3,
+      target = 'land', waterDepth_m = OCEAN_MEAN_DEPTH
+    } = p;
     const E = kineticEnergyJ(L0_m, rho_i, v_ms);
-    const Dtc = transientCraterDiameter(L0_m, rho_i, rho_t, v_ms, gamma_deg);
-    const Dfr = finalCraterDiameter(Dtc);
+    const entry = atmosphericEntry(p);
+    const isAirburst = entry.type === 'airburst';
+
+    // Ground impacts are scaled with whatever survived ablation and deceleration;
+    // an airburst deposits the full kinetic energy at the burst altitude.
+    // Over water the seafloor crater uses the velocity left after crossing the water column.
+    let Dtc = 0, tsunami = null;
+    let crater = {
+      D_final_m: 0, type: null, depth_m: 0, rimHeight_m: 0, brecciaThickness_m: null, meltVolume_m3: 0, centralPeakDiameter_m: 0
+    };
+    if (!isAirburst && entry.surfaceVelocity_ms > 0) {
+      const L_surface = L0_m * Math.cbrt(entry.massFraction);
+      let v_floor = entry.surfaceVelocity_ms;
+      if (target === 'water') {
+        const source = tsunamiSource(L_surface, rho_i, entry.surfaceVelocity_ms, gamma_deg, waterDepth_m);
+        v_floor = source.cavityDepth_m > waterDepth_m
+          ? seafloorVelocity(L_surface, rho_i, entry.surfaceVelocity_ms, gamma_deg, waterDepth_m)
+          : 0;
+        tsunami = {
+          ...source,
+          seafloorVelocity_ms: v_floor,
+          amplitude100km_m: tsunamiAmplitudeAtDistance(source, 100000),
+          arrivalContours: tsunamiArrivalContours(source)
+        };
+      }
+      if (v_floor > 0) {
+        Dtc = transientCraterDiameter(L_surface, rho_i, rho_t, v_floor, gamma_deg);
+        crater = craterMorphology(Dtc, 0.5 * entry.surfaceMass_kg * v_floor ** 2, gamma_deg);
+      }
+    }
+    const E_release = isAirburst ? E : entry.surfaceEnergy_J;
 
-    const fire50 = fireball50Radius(E, luminousEfficiency);
-    const seisDamage = seismicRadius(E, MEFF_DAMAGE);
+    const fire50 = groundRange(fireball50Radius(E_release, luminousEfficiency), entry.burstAltitude_m);
+    const thermalZones = THERMAL_LEVELS.map(({ level, phi1Mt_J_m2 }) => {
+      const phi = thermalThreshold(phi1Mt_J_m2, E_release);
+      return { level, fluence_J_m2: phi, radius_m: thermalRadius(E_release, luminousEfficiency, phi, entry.burstAltitude_m) };
+    });
+    const seisDamage = isAirburst ? 0 : seismicRadius(E_release, MEFF_DAMAGE);
+    const seismicMagnitude = isAirburst || !(E_release > 0) ? null : globalMagnitudeFromEnergy(E_release);
+    // Intensity contours, capped at the antipode where the rings close up again
+    const seismicIntensityZones = MMI_LEVELS.map(({ level, Meff }) => ({
+      level, Meff, radius_m: seismicMagnitude === null ? 0 : Math.min(seismicRadius(E_release, Meff), Math.PI * Re)
+    }));
+
+    const overpressureZones = OVERPRESSURE_LEVELS.map(({ level, p_Pa }) => ({
+      level, p_Pa, radius_m: overpressureRadius(E_release, p_Pa, entry.burstAltitude_m)
+    }));
+    const windZones = WIND_LEVELS.map(({ level, u_ms }) => ({
+      level, u_ms, radius_m: windRadius(E_release, u_ms, entry.burstAltitude_m)
+    }));
 
     return {
       energy_J: E,
       energy_kt: E / KT_TO_J,
-      crater: { D_transient_m: Dtc, D_final_m: Dfr },
+      recurrence_years: recurrenceInterval(E),
+      energyReleased_J: E_release,
+      luminousEfficiency,
+      event: entry.type,
+      target,
+      burstAltitude_m: entry.burstAltitude_m,
+      entry,
+      crater: { D_transient_m: Dtc, ...crater },
+      ejecta: ejectaBlanket(Dtc, crater.D_final_m),
       fireball50_m: fire50,
-      seismicDamage_m: seisDamage
+      fireballRadius_m: E_release > 0 ? fireballRadius(E_release) : 0,
+      thermalPulse_s: E_release > 0 ? thermalPulseDuration(E_release, luminousEfficiency) : 0,
+      thermalZones,
+      seismicDamage_m: seisDamage,
+      seismicMagnitude,
+      seismicIntensityZones,
+      overpressureZones,
+      windZones,
+      tsunami,
+      fragmentation: fragmentation(p, entry),
+      footprints: {
+        crater: impactFootprint('crater', gamma_deg, azimuth_deg),
+        thermal: impactFootprint('thermal', gamma_deg, azimuth_deg),
+        blast: impactFootprint('blast', gamma_deg, azimuth_deg),
+        ejecta: impactFootprint('ejecta', gamma_deg, azimuth_deg),
+        seismic: impactFootprint('seismic', gamma_deg, azimuth_deg)
+      }
     };
   }
 
@@ -187,17 +1012,32 @@ const ImpactZones = (function () {
     // This function can be used to store or display impact zone information
     // Currently acts as a no-op but prevents errors
     console.log(`Impact zones at ${lat.toFixed(4)}, ${lon.toFixed(4)}:`, {
+      event: zones.event,
+      burst_altitude_m: zones.burstAltitude_m.toFixed(0),
       energy_kt: zones.energy_kt.toFixed(2),
       crater_diameter_m: zones.crater.D_final_m.toFixed(1),
       fireball_radius_m: zones.fireball50_m.toFixed(1),
-      seismic_damage_m: zones.seismicDamage_m.toFixed(1)
+      seismic_damage_m: zones.seismicDamage_m.toFixed(1),
+      seismic_magnitude: zones.seismicMagnitude === null ? null : zones.seismicMagnitude.toFixed(1)
     });
     
     // Log which zones are visible (have radius > 0)
     const visibleZones = [];
     if (zones.crater.D_final_m > 0) visibleZones.push(`crater: ${(zones.crater.D_final_m/2).toFixed(1)}m`);
     if (zones.fireball50_m > 0) visibleZones.push(`fireball: ${zones.fireball50_m.toFixed(1)}m`);
+    zones.thermalZones.forEach(z => {
+      if (z.radius_m > 0) visibleZones.push(`thermal ${z.level}: ${z.radius_m.toFixed(1)}m`);
+    });
     if (zones.seismicDamage_m > 0) visibleZones.push(`seismic: ${zones.seismicDamage_m.toFixed(1)}m`);
+    zones.seismicIntensityZones.forEach(z => {
+      if (z.radius_m > 0) visibleZones.push(`MMI ${z.level}: ${z.radius_m.toFixed(1)}m`);
+    });
+    zones.overpressureZones.forEach(z => {
+      if (z.radius_m > 0) visibleZones.push(`overpressure ${z.level}: ${z.radius_m.toFixed(1)}m`);
+    });
+    zones.windZones.forEach(z => {
+      if (z.radius_m > 0) visibleZones.push(`wind ${z.level}: ${z.radius_m.toFixed(1)}m`);
+    });
     
     console.log('Visible zones:', visibleZones.length > 0 ? visibleZones.join(', ') : 'None');
     
@@ -209,12 +1049,37 @@ const ImpactZones = (function () {
 
   return {
     computeAll,
+    kineticEnergyJ,
+    energyToKT,
+    recurrenceInterval,
     transientCraterDiameter,
     finalCraterDiameter,
+    craterMorphology,
+    ejectaThickness,
+    ejectaArrivalTime,
+    ejectaBlanket,
+    atmosphericEntry,
+    yieldStrength,
+    MATERIALS,
+    fragmentation,
+    impactFootprint,
+    footprintOutline,
     fireball50Radius,
+    thermalExposure,
     overpressureAtDistance,
+    overpressureRadius,
     windFromOverpressure,
+    pFromWind,
+    windRadius,
+    waterCavityDiameter,
+    tsunamiAmplitudeAtDistance,
+    tsunamiArrivalTime,
+    tsunamiRunup,
+    globalMagnitudeFromEnergy,
     MeffAtDistance,
+    effectsTimeline,
+    effectRadiusAt,
+    mortalityAtDistance,
     addImpactZoneInfo
   };
 })();
@@ -5,7 +5,7 @@ import Stats from "three/examples/jsm/libs/stats.module"
 import { OrbitControls } from "three/examples/jsm/controls/OrbitControls"
 
 // Core boilerplate code deps
-import { createCamera, createRenderer, runApp, updateLoadingProgressBar } from "./core-utils"
+import { createCamera, createRenderer, createSimulationClock, runApp, updateLoadingProgressBar } from "./core-utils"
 
 // Other deps
 import { loadTexture } from "./common-utils"
@@ -17,8 +17,37 @@ import {
   createLocationLabel, 
   FAMOUS_LOCATIONS,
   calculateDistance,
+  destinationPoint,
+  trackPoint,
   getRegionName
 } from "./coordinate-utils"
+// Land/water mask for ocean impacts
+import { loadSurfaceMask, isWater, estimateWaterDepth, distanceToSurface, isSeaPathOpen } from "./surface-mask"
+// Keplerian orbit propagation
+import { AU_KM, elementsFromSampledOrbit, sampleOrbit, propagate, hasOrbitalPhase, displayElements, eclipticToScene } from "./orbit-propagator"
+// Kinetic-impactor deflection planning
+import { planDeflection, geocentricPath, nextCloseApproach, EARTH_RADIUS_KM } from "./deflection"
+// Collision geometry and risk corridor from an asteroid's orbit
+import { encounterGeometry, riskCorridor, corridorPointAtAngle } from "./impact-geometry"
+// MOID and close-approach search against Earth's orbit
+import { computeMoid, findCloseApproaches, LUNAR_DISTANCE_KM } from "./close-approaches"
+// Searchable catalog of every bundled asteroid
+import { buildCatalog, filterCatalog, sortCatalog, parsePopulation, feedDiameterRange, DEFAULT_DENSITY } from "./asteroid-catalog"
+// Torino and Palermo hazard ratings
+import { assessHazard } from "./hazard-scale"
+// Historical events to compare impact energies with
+import { compareEnergy, energyLadder } from "./energy-references"
+// Instanced bodies and batched orbits for the whole catalog
+import { createAsteroidSwarm } from "./asteroid-swarm"
+// Earth rotation and Sun position from the simulation date
+import { greenwichSiderealAngle, subsolarPoint } from "./earth-orientation"
+// Offline population grid for casualty estimates
+import { loadPopulationGrid, estimatePopulationImpact } from "./population-grid"
+// Scenario documents for saving and replaying launches
+import { createScenario, downloadScenario, readScenarioFile } from "./scenario"
+import { scenarioToHash, scenarioFromHash } from "./permalink"
+// Offline reverse geocoding with an optional network provider
+import { loadCountryBoundaries, createOfflineProvider, bigDataCloudProvider, setGeocodingProviders } from "./reverse-geocoder"
 // Debug utilities
 import { createDebugCoordinateGrid, testCoordinateMapping } from "./debug-coordinates"
 // Internationalization
@@ -35,6 +64,8 @@ import fragmentShader from "./shaders/fragment.glsl"
 import GaiaSky from "./assets/Gaia_EDR3_darkened.png"
 import asteroidOrbitData from "./assets/asteroid_orbit_coords.json"
 import asterooidSizeandSpeedData from "./assets/asteroid_properties.json"
+import populationGridData from "./assets/population_grid.json"
+import countryBoundariesData from "./assets/country_boundaries.json"
 
 global.THREE = THREE
 // Make i18n available globally for other modules
@@ -50,7 +81,7 @@ THREE.ColorManagement.enabled = true
 const params = {
   // general scene params
   sunIntensity: 1.3, // brightness of the sun
-  speedFactor: 2.0, // rotation speed of the earth
+  cloudDrift: 10, // degrees per simulated day the clouds drift east over the ground
   metalness: 0.1,
   atmOpacity: { value: 0.7 },
   atmPowFactor: { value: 4.1 },
@@ -66,6 +97,7 @@ const params = {
   showLocationLabels: true,
   showCoordinateInfo: true,
   showDebugGrid: true,
+  onlineGeocoding: false, // ask BigDataCloud for city names before the bundled boundaries
   targetLat: 40.7128, // New York by default
   targetLon: -74.0060,
   
@@ -75,6 +107,93 @@ const params = {
   
   // Orbital paths parameters
   showOrbitalPaths: true,
+  showAsteroidSwarm: true, // every catalog object as an instanced body
+  showSwarmOrbits: true,
+  simulationRate: 3600, // simulated seconds per real second (1 h/s)
+
+  // Kinetic-impactor deflection parameters (defaults are DART's)
+  spacecraftMass: 570, // kg at impact
+  impactorVelocity: 6.1, // km/s relative to the asteroid
+  beta: 3.6, // momentum enhancement from ejecta
+  leadTimeDays: 365, // days between the impact and the close approach
+}
+
+
+// Orbits are in km around the Sun; shrink them to scene units and keep them clear of the Earth
+const ORBIT_SCENE_SCALE = 0.0000002
+const ORBIT_MIN_RADIUS = 15
+
+// Bright neon color palette for the orbital paths, cycled through in catalog order
+const ORBIT_COLORS = [
+  0x00ff00, 0xff0080, 0x00ffff, 0xffff00, 0xff4000,
+  0x8000ff, 0xff8000, 0x0080ff, 0xff00ff, 0x40ff00
+]
+
+// Catalog entries shown in detail when the app starts; the rest are added from the catalog panel
+const INITIAL_CATALOG_PATHS = 10
+
+// Rows the catalog panel lists at once; a population file can hold tens of thousands
+const MAX_CATALOG_ROWS = 500
+
+// FAMOUS_LOCATIONS entries that are calibration points rather than coastal cities
+const RUNUP_EXCLUDED_LOCATIONS = ['Greenwich (0°,0°)', 'Null Island (0°,0°)']
+
+// Crater mesh: how far past the rim it reaches, and the shape of complex craters
+// (flat floor out to about half the radius, central peak rising halfway up the depth)
+const CRATER_MESH_EXTENT = 2.5
+const CRATER_FLOOR_FRACTION = 0.5
+const CRATER_PEAK_HEIGHT_FRACTION = 0.5
+
+// Craters cut a hole in the globe so their bowls can sit below its surface; the oldest
+// crater is removed once there are more than the Earth shader has room for
+const MAX_CRATER_HOLES = 16
+
+// Closest the camera may get to what it looks at: two Earth radii above the ground in
+// general, about 13 km only in the crater close-up
+const CAMERA_MIN_DISTANCE = 12
+const CRATER_VIEW_MIN_DISTANCE = 0.002
+
+// Effects timeline playback: wall-clock length of a run, and ring colors matching the zone rings
+const TIMELINE_PLAYBACK_S = 20
+const TIMELINE_EFFECT_COLORS = {
+  thermal: 0xFF4500,
+  seismic: 0x32CD32,
+  blast: 0xFF1493,
+  ejecta: 0xA0522D,
+  tsunami: 0x1E90FF
+}
+
+// Widest ring of a filled band (ejecta, uncertainty), so large bands follow the curve of the globe
+const BAND_RING_WIDTH_M = 200000
+
+// Ring colors and labels for the overpressure and wind levels returned by ImpactZones.computeAll
+const BLAST_ZONE_STYLES = {
+  windows: { color: 0xFFB6C1, label: 'Windows shatter (1 psi)' },
+  collapse: { color: 0xFF69B4, label: 'Buildings collapse (5 psi)' },
+  destruction: { color: 0xFF1493, label: 'Total destruction (20 psi)' },
+  hurricane: { color: 0xDDA0DD, label: 'Hurricane-force wind (33 m/s)' },
+  severe: { color: 0xBA55D3, label: 'Severe wind (62 m/s)' },
+  lethal: { color: 0x9370DB, label: 'Lethal wind (112 m/s)' }
+}
+
+// Burn and ignition rings, pale for second-degree burns to red for burning clothing
+const THERMAL_ZONE_STYLES = {
+  burn2: { color: 0xFFDAB9, label: 'Second-degree burns' },
+  grass: { color: 0xF0E68C, label: 'Grass ignites' },
+  burn3: { color: 0xFFA07A, label: 'Third-degree burns' },
+  wood: { color: 0xFF8C00, label: 'Wood ignites' },
+  clothing: { color: 0xFF6347, label: 'Clothing ignites' }
+}
+
+// Modified Mercalli rings, pale green for light shaking to dark green for destruction
+const MMI_ZONE_STYLES = {
+  IV: { color: 0xC1F0C1, label: 'MMI IV (light shaking)' },
+  V: { color: 0x98FB98, label: 'MMI V (moderate shaking)' },
+  VI: { color: 0x7CCD7C, label: 'MMI VI (strong shaking)' },
+  VII: { color: 0x32CD32, label: 'MMI VII (very strong shaking)' },
+  VIII: { color: 0x228B22, label: 'MMI VIII (severe shaking)' },
+  IX: { color: 0x008000, label: 'MMI IX (violent shaking)' },
+  X: { color: 0x006400, label: 'MMI X (extreme shaking)' }
 }
 
 
@@ -113,20 +232,32 @@ let app = {
     // OrbitControls
     this.controls = new OrbitControls(camera, renderer.domElement)
     this.controls.enableDamping = true
-    this.controls.minDistance = 12 // Minimum zoom distance (prevent going inside Earth)
+    this.controls.minDistance = CAMERA_MIN_DISTANCE // Minimum zoom distance (prevent going inside Earth)
     this.controls.maxDistance = 200 // Maximum zoom distance (prevent going too far out)
     
+    // Simulation clock (UTC) that asteroid positions and other time-dependent objects read from
+    this.simulationClock = createSimulationClock(Date.now(), params.simulationRate)
+    
     // Array to store all dots placed on the sphere
     this.dots = []
     
     // Initialize asteroid system arrays
     this.asteroids = []
     this.impactSites = []
+    // Uniforms of the holes the craters cut in the globe, see createCraterMesh
+    this.craterHoles = {
+      uCraterCount: { value: 0 },
+      uCraterCenters: { value: Array.from({ length: MAX_CRATER_HOLES }, () => new THREE.Vector3()) },
+      uCraterAlong: { value: Array.from({ length: MAX_CRATER_HOLES }, () => new THREE.Vector3()) },
+      uCraterAcross: { value: Array.from({ length: MAX_CRATER_HOLES }, () => new THREE.Vector3()) }
+    }
     
     // Array to store orbital paths
     this.orbitalPaths = []
+    // Asteroid meshes moved along their orbits each frame
+    this.orbitingAsteroids = []
 
-    // adding a virtual sun using directional light
+    // adding a virtual sun using directional light, positioned from the simulation date in updateScene
     this.dirLight = new THREE.DirectionalLight(0xffffff, params.sunIntensity)
     this.dirLight.position.set(-50, 0, 30)
     scene.add(this.dirLight)
@@ -158,6 +289,16 @@ let app = {
     await updateLoadingProgressBar(0.4)
 
     const oceanMap = await loadTexture(Ocean)
+    // The same mask tells ocean impacts apart from land impacts
+    try {
+      this.surfaceMask = await loadSurfaceMask(Ocean)
+    } catch (error) {
+      console.warn('Failed to load surface mask, all impacts will be treated as land:', error)
+      this.surfaceMask = null
+    }
+    this.populationGrid = loadPopulationGrid(populationGridData)
+    this.offlineGeocoder = createOfflineProvider(loadCountryBoundaries(countryBoundariesData))
+    this.updateGeocodingProviders()
     await updateLoadingProgressBar(0.5)
 
     const lightsMap = await loadTexture(NightLights)
@@ -179,6 +320,8 @@ let app = {
     })
 
     // create group for easier manipulation of objects(ie later with clouds and atmosphere added)
+    // This is the Earth-fixed frame: it turns with sidereal time, so everything placed with
+    // latLonToVector3 (markers, impact zones, craters) has to be added to it
     this.group = new THREE.Group()
     // Remove axial tilt to align coordinates properly with geographic locations
     // this.group.rotation.z = 23.5 / 360 * 2 * Math.PI
@@ -227,11 +370,15 @@ let app = {
 
     scene.add(this.group)
 
+    // Orbits are drawn in the inertial (equatorial) frame and do not turn with the Earth
+    this.orbitGroup = new THREE.Group()
+    scene.add(this.orbitGroup)
+
     // Initialize coordinate mapping system
     this.initCoordinateSystem()
 
     // Add debug coordinate grid to help with calibration
-    this.debugGrid = createDebugCoordinateGrid(scene)
+    this.debugGrid = createDebugCoordinateGrid(this.group)
     
     // Run coordinate mapping test in console
     testCoordinateMapping()
@@ -248,14 +395,43 @@ let app = {
     // Load and create asteroid orbital paths
     await this.createOrbitalPaths()
 
+    const craterHoles = this.craterHoles
     earthMat.onBeforeCompile = function( shader ) {
       shader.uniforms.tClouds = { value: cloudsMap }
       shader.uniforms.tClouds.value.wrapS = THREE.RepeatWrapping;
       shader.uniforms.uv_xOffset = { value: 0 }
+      Object.assign(shader.uniforms, craterHoles)
+      shader.vertexShader = shader.vertexShader.replace('#include <common>', `
+        #include <common>
+        varying vec3 vEarthPosition;
+      `).replace('#include <begin_vertex>', `
+        #include <begin_vertex>
+        vEarthPosition = position;
+      `);
       shader.fragmentShader = shader.fragmentShader.replace('#include <common>', `
         #include <common>
         uniform sampler2D tClouds;
         uniform float uv_xOffset;
+        uniform int uCraterCount;
+        uniform vec3 uCraterCenters[${MAX_CRATER_HOLES}];
+        uniform vec3 uCraterAlong[${MAX_CRATER_HOLES}];
+        uniform vec3 uCraterAcross[${MAX_CRATER_HOLES}];
+        varying vec3 vEarthPosition;
+      `);
+      // Leave out the surface inside each crater's rim so the bowl below it shows.
+      // The axes are scaled by the inverse of the semi-axes, so the rim is where
+      // the squared offsets along them add up to 1
+      shader.fragmentShader = shader.fragmentShader.replace('#include <clipping_planes_fragment>', `
+        #include <clipping_planes_fragment>
+
+        vec3 surfacePoint = normalize(vEarthPosition);
+        for (int i = 0; i < ${MAX_CRATER_HOLES}; i++) {
+          if (i >= uCraterCount) break;
+          vec3 offset = surfacePoint - uCraterCenters[i];
+          float along = dot(offset, uCraterAlong[i]);
+          float across = dot(offset, uCraterAcross[i]);
+          if (dot(surfacePoint, uCraterCenters[i]) > 0.0 && along * along + across * across < 1.0) discard;
+        }
       `);
       shader.fragmentShader = shader.fragmentShader.replace('#include <roughnessmap_fragment>', `
         float roughnessFactor = roughness;
@@ -300,7 +476,7 @@ let app = {
         // We then darken the color value at Point X depending on the color value at Point Y,
         // that is the intensity of the clouds at Point Y.
         //
-        // Since the clouds are made to spin twice as fast as the earth,
+        // Since the clouds drift over the earth's surface (params.cloudDrift),
         // in order to get the correct shadows(clouds) position in this earth's fragment shader
         // we need to minus earth's UV.x coordinate by uv_xOffset,
         // which is calculated and explained in the updateScene()
@@ -342,7 +518,7 @@ let app = {
     gui.add(params, "metalness", 0.0, 1.0, 0.05).onChange((val) => {
       earthMat.metalness = val
     }).name("Ocean Metalness")
-    gui.add(params, "speedFactor", 0.1, 20.0, 0.1).name("Rotation Speed")
+    gui.add(params, "cloudDrift", 0.0, 100.0, 1).name("Cloud Drift (°/day)")
     gui.add(params.atmOpacity, "value", 0.0, 1.0, 0.05).name("atmOpacity")
     gui.add(params.atmPowFactor, "value", 0.0, 20.0, 0.1).name("atmPowFactor")
     gui.add(params.atmMultiplier, "value", 0.0, 20.0, 0.1).name("atmMultiplier")
@@ -358,6 +534,9 @@ let app = {
     coordFolder.add(params, "showDebugGrid").onChange((val) => {
       this.debugGrid.visible = val
     }).name("Show Debug Grid")
+    coordFolder.add(params, "onlineGeocoding").onChange((val) => {
+      this.updateGeocodingProviders()
+    }).name("Online Geocoding")
     coordFolder.add(params, "targetLat", -90, 90, 0.1).onChange((val) => {
       this.updateTargetLocation()
     }).name("Target Latitude")
@@ -395,18 +574,80 @@ let app = {
       name: 'None Selected',
       size: 'Unknown',
       speed: 'Unknown',
-      composition: 'Unknown'
+      composition: 'Unknown',
+      impactProbability: 0,
+      impactDate: '',
+      energy: 'Unknown',
+      torino: '-',
+      palermo: '-'
     }
     
     asteroidFolder.add(selectedAsteroidInfo, 'name').name('Selected Asteroid').listen()
     asteroidFolder.add(selectedAsteroidInfo, 'size').name('Real Size (m)').listen()
     asteroidFolder.add(selectedAsteroidInfo, 'speed').name('Real Speed (km/s)').listen()
     asteroidFolder.add(selectedAsteroidInfo, 'composition').name('Composition').listen()
+
+    // Hazard rating for an impact probability and date entered here
+    asteroidFolder.add(selectedAsteroidInfo, 'impactProbability').min(0).max(1).step(1e-6)
+      .name('Impact Probability').onChange(() => this.rateAsteroid(this.selectedAsteroid))
+    asteroidFolder.add(selectedAsteroidInfo, 'impactDate').name('Impact Date (UTC)')
+      .onFinishChange(() => this.rateAsteroid(this.selectedAsteroid))
+    asteroidFolder.add(selectedAsteroidInfo, 'energy').name('Impact Energy (Mt)').listen()
+    this.torinoController = asteroidFolder.add(selectedAsteroidInfo, 'torino').name('Torino Scale').listen()
+    asteroidFolder.add(selectedAsteroidInfo, 'palermo').name('Palermo Scale').listen()
     
     // Store reference for updates
     this.selectedAsteroidInfo = selectedAsteroidInfo
+
+    // Collision geometry of the selected asteroid at its next encounter
+    const impactGeometryInfo = {
+      encounter: '-',
+      vInfinity: '-',
+      entrySpeed: '-',
+      entryAngle: '-',
+      azimuth: '-'
+    }
+    const impactGeometryActions = {
+      'Impact This Object': () => this.impactSelectedAsteroid(),
+      'Clear Risk Corridor': () => this.clearRiskCorridor()
+    }
+    asteroidFolder.add(impactGeometryActions, 'Impact This Object')
+    asteroidFolder.add(impactGeometryInfo, 'encounter').name('Encounter').listen()
+    asteroidFolder.add(impactGeometryInfo, 'vInfinity').name('v∞ (km/s)').listen()
+    asteroidFolder.add(impactGeometryInfo, 'entrySpeed').name('Entry Speed (km/s)').listen()
+    asteroidFolder.add(impactGeometryInfo, 'entryAngle').name('Entry Angle (°)').listen()
+    asteroidFolder.add(impactGeometryInfo, 'azimuth').name('Heading (° from N)').listen()
+    asteroidFolder.add(impactGeometryActions, 'Clear Risk Corridor')
+    this.impactGeometryInfo = impactGeometryInfo
     
     asteroidFolder.close()
+
+    // Kinetic-impactor deflection of the selected asteroid
+    const deflectionFolder = gui.addFolder('Deflection (Kinetic Impactor)')
+    deflectionFolder.add(params, 'spacecraftMass', 100, 20000, 10).name('Spacecraft Mass (kg)')
+    deflectionFolder.add(params, 'impactorVelocity', 1, 30, 0.1).name('Relative Velocity (km/s)')
+    deflectionFolder.add(params, 'beta', 1, 5, 0.1).name('Momentum Factor β')
+    deflectionFolder.add(params, 'leadTimeDays', 1, 3650, 1).name('Lead Time (days)')
+
+    const deflectionInfo = {
+      closeApproach: '-',
+      originalMiss: '-',
+      deflectedMiss: '-',
+      deltaV: '-'
+    }
+    const deflectionActions = {
+      'Plan Deflection': () => this.planSelectedDeflection(),
+      'Clear Deflection': () => this.clearDeflection()
+    }
+    deflectionFolder.add(deflectionActions, 'Plan Deflection')
+    deflectionFolder.add(deflectionInfo, 'closeApproach').name('Close Approach').listen()
+    deflectionFolder.add(deflectionInfo, 'originalMiss').name('Original Miss').listen()
+    deflectionFolder.add(deflectionInfo, 'deflectedMiss').name('Deflected Miss').listen()
+    deflectionFolder.add(deflectionInfo, 'deltaV').name('Δv (mm/s)').listen()
+    deflectionFolder.add(deflectionActions, 'Clear Deflection')
+    this.deflectionInfo = deflectionInfo
+
+    deflectionFolder.close()
     
     // Add orbital paths controls
     const orbitalFolder = gui.addFolder('Orbital Paths')
@@ -415,6 +656,12 @@ let app = {
         pathObject.visible = value;
       });
     })
+    orbitalFolder.add(params, 'showAsteroidSwarm').name('Show Asteroid Population').onChange((value) => {
+      if (this.asteroidSwarm) this.asteroidSwarm.object.visible = value
+    })
+    orbitalFolder.add(params, 'showSwarmOrbits').name('Show Population Orbits').onChange((value) => {
+      if (this.asteroidSwarm) this.asteroidSwarm.setOrbitsVisible(value)
+    })
     
     orbitalFolder.close()
     
@@ -435,6 +682,288 @@ let app = {
     this.container.appendChild(this.stats1.domElement)
 
     await updateLoadingProgressBar(1.0, 100)
+
+    this.initMaterialSelect()
+    // Restore a shared link once everything it refers to exists
+    this.initPermalink()
+    this.initCloseApproachTable()
+    this.initCatalogPanel()
+  },
+
+  // Re-render the catalog whenever a filter changes, and sort it from its headers
+  initCatalogPanel() {
+    this.catalogSort = { key: 'name', order: 'asc' }
+    const filterInputs = ['catalog-search', 'catalog-min-diameter', 'catalog-max-diameter', 'catalog-min-speed', 'catalog-max-speed', 'catalog-hazardous']
+    filterInputs.forEach(id => {
+      document.getElementById(id).addEventListener('input', () => this.renderCatalog())
+    })
+    document.querySelectorAll('#catalog-table th').forEach(header => {
+      header.addEventListener('click', () => {
+        const key = header.dataset.sort
+        const sameKey = this.catalogSort.key === key
+        this.catalogSort = { key, order: sameKey && this.catalogSort.order === 'asc' ? 'desc' : 'asc' }
+        this.renderCatalog()
+      })
+    })
+  },
+
+  renderCatalog() {
+    const value = id => parseFloat(document.getElementById(id).value)
+    const filters = {
+      query: document.getElementById('catalog-search').value,
+      minDiameter_m: value('catalog-min-diameter'),
+      maxDiameter_m: value('catalog-max-diameter'),
+      minSpeed_km_s: value('catalog-min-speed'),
+      maxSpeed_km_s: value('catalog-max-speed'),
+      hazardousOnly: document.getElementById('catalog-hazardous').checked
+    }
+    const { key, order } = this.catalogSort
+    const rows = sortCatalog(
+      filterCatalog(this.asteroidCatalog, filters).map(entry => ({ ...entry, shown: Boolean(entry.sceneObjects), entry })),
+      key,
+      order
+    )
+
+    document.querySelectorAll('#catalog-table th').forEach(header => {
+      if (header.dataset.sort === key) {
+        header.dataset.order = order
+      } else {
+        delete header.dataset.order
+      }
+    })
+
+    const format = (number, digits) => (number === null ? '-' : number.toFixed(digits))
+    const body = document.querySelector('#catalog-table tbody')
+    body.innerHTML = ''
+    rows.slice(0, MAX_CATALOG_ROWS).forEach(row => {
+      const tableRow = body.insertRow()
+      const toggle = document.createElement('input')
+      toggle.type = 'checkbox'
+      toggle.checked = row.shown
+      toggle.addEventListener('change', () => {
+        if (toggle.checked) {
+          this.showCatalogAsteroid(row.entry)
+        } else {
+          this.hideCatalogAsteroid(row.entry)
+        }
+      })
+      tableRow.insertCell().appendChild(toggle)
+
+      const cells = [
+        row.name,
+        format(row.diameter_m, 0),
+        format(row.speed_km_s, 2),
+        row.energy_mt === null ? '-' : row.energy_mt.toPrecision(3),
+        row.hazardous ? '⚠' : '-'
+      ]
+      cells.forEach(text => {
+        tableRow.insertCell().textContent = text
+      })
+    })
+
+    if (rows.length > MAX_CATALOG_ROWS) {
+      const cell = body.insertRow().insertCell()
+      cell.colSpan = 6
+      cell.textContent = i18n.t('ui.catalog_truncated', { shown: MAX_CATALOG_ROWS, total: rows.length })
+    }
+  },
+
+  // Default the search window to the coming year and sort the table from its headers
+  initCloseApproachTable() {
+    const start = new Date(this.simulationClock.date)
+    const end = new Date(start)
+    end.setUTCFullYear(end.getUTCFullYear() + 1)
+    document.getElementById('approaches-from').value = start.toISOString().slice(0, 10)
+    document.getElementById('approaches-to').value = end.toISOString().slice(0, 10)
+
+    this.closeApproachRows = []
+    this.closeApproachSort = { key: 'date_ms', order: 'asc' }
+    document.querySelectorAll('#approaches-table th').forEach(header => {
+      header.addEventListener('click', () => {
+        const key = header.dataset.sort
+        const sameKey = this.closeApproachSort.key === key
+        this.closeApproachSort = { key, order: sameKey && this.closeApproachSort.order === 'asc' ? 'desc' : 'asc' }
+        this.renderCloseApproachTable()
+      })
+    })
+  },
+
+  // Search every loaded asteroid for close approaches in the window from the control panel
+  findCloseApproaches() {
+    const start = Date.parse(document.getElementById('approaches-from').value)
+    const end = Date.parse(document.getElementById('approaches-to').value)
+    const maxDistance = parseFloat(document.getElementById('approaches-max-distance').value)
+    if (!(end > start)) {
+      alert('The end date must be after the start date')
+      return
+    }
+    const maxDistance_km = isNaN(maxDistance) ? Infinity : maxDistance * LUNAR_DISTANCE_KM
+
+    this.closeApproachRows = []
+    this.orbitingAsteroids.forEach(asteroid => {
+      const userData = asteroid.userData
+      // The MOID depends only on the orbits, so compute it once per asteroid
+      if (userData.moid_km === undefined) {
+        userData.moid_km = computeMoid(userData.elements).moid_km
+      }
+      // Without a position along the orbit only the MOID is known; list the
+      // object if the MOID leaves a close approach possible
+      if (!hasOrbitalPhase(userData.elements)) {
+        if (userData.moid_km <= maxDistance_km) {
+          this.closeApproachRows.push({
+            name: userData.name,
+            moid_ld: userData.moid_km / LUNAR_DISTANCE_KM,
+            date_ms: null,
+            distance_ld: null,
+            relativeSpeed_km_s: null
+          })
+        }
+        return
+      }
+      findCloseApproaches(userData.elements, start, end, maxDistance_km).forEach(approach => {
+        this.closeApproachRows.push({
+          name: userData.name,
+          moid_ld: userData.moid_km / LUNAR_DISTANCE_KM,
+          ...approach
+        })
+      })
+    })
+
+    this.renderCloseApproachTable()
+    document.getElementById('approaches-window').style.display = 'flex'
+  },
+
+  renderCloseApproachTable() {
+    const { key, order } = this.closeApproachSort
+    const sign = order === 'asc' ? 1 : -1
+    // Rows without a predicted approach go last either way
+    const rows = [...this.closeApproachRows].sort((a, b) => {
+      if (a[key] === null) return b[key] === null ? 0 : 1
+      if (b[key] === null) return -1
+      const result = typeof a[key] === 'string' ? a[key].localeCompare(b[key]) : a[key] - b[key]
+      return sign * result
+    })
+
+    document.querySelectorAll('#approaches-table th').forEach(header => {
+      if (header.dataset.sort === key) {
+        header.dataset.order = order
+      } else {
+        delete header.dataset.order
+      }
+    })
+
+    const body = document.querySelector('#approaches-table tbody')
+    body.innerHTML = ''
+    if (rows.length === 0) {
+      const row = body.insertRow()
+      const cell = row.insertCell()
+      cell.colSpan = 5
+      cell.textContent = i18n.t('ui.approaches_none')
+      return
+    }
+    rows.forEach(approach => {
+      const row = body.insertRow()
+      const predicted = approach.date_ms !== null
+      const cells = [
+        approach.name,
+        approach.moid_ld.toFixed(1),
+        predicted ? new Date(approach.date_ms).toISOString().slice(0, 16).replace('T', ' ') : '-',
+        predicted ? approach.distance_ld.toFixed(1) : '-',
+        predicted ? approach.relativeSpeed_km_s.toFixed(2) : '-'
+      ]
+      cells.forEach(text => {
+        row.insertCell().textContent = text
+      })
+      if (predicted) {
+        row.addEventListener('click', () => this.focusAsteroidAt(approach.name, approach.date_ms))
+      } else {
+        row.title = i18n.t('ui.approaches_phase_unknown')
+      }
+    })
+  },
+
+  // Jump the clock to a date and point the camera at an asteroid's position then
+  focusAsteroidAt(name, date_ms) {
+    const asteroid = this.orbitingAsteroids.find(candidate => candidate.userData.name === name)
+    if (!asteroid) return
+
+    this.simulationClock.reset(date_ms)
+    this.updateEarthOrientation()
+    this.updateOrbitalPaths()
+    this.updateSimulationTimeDisplay()
+
+    if (this.selectedAsteroid) {
+      this.resetAsteroidAppearance(this.selectedAsteroid)
+    }
+    this.selectedAsteroid = asteroid
+    this.highlightAsteroid(asteroid, 'select')
+    this.updateSelectedAsteroidInfo(asteroid)
+
+    // Keep the viewing direction, but centre on the asteroid from close by
+    const position = asteroid.getWorldPosition(new THREE.Vector3())
+    const direction = camera.position.clone().sub(this.controls.target).normalize()
+    this.controls.target.copy(position)
+    this.controls.minDistance = CAMERA_MIN_DISTANCE
+    camera.position.copy(position).addScaledVector(direction, 30)
+    this.controls.update()
+  },
+
+  // Picking a material fills in its bulk density; 'auto' leaves the density as typed
+  initMaterialSelect() {
+    const select = document.getElementById('asteroid-material')
+    select.addEventListener('change', () => {
+      const { density } = ImpactZones.MATERIALS[select.value]
+      if (density === null) return
+      const input = document.getElementById('asteroid-density')
+      input.value = density
+      input.dispatchEvent(new Event('input', { bubbles: true }))
+    })
+  },
+
+  // Keep the URL hash in sync with the launch panel, camera and language
+  initPermalink() {
+    this.restoreFromPermalink(window.location.hash)
+    window.addEventListener('hashchange', () => this.restoreFromPermalink(window.location.hash))
+
+    const update = () => this.updatePermalink()
+    const panelInputs = ['target-lat', 'target-lon', 'asteroid-diameter', 'asteroid-speed', 'asteroid-density', 'impact-angle', 'impact-azimuth']
+    panelInputs.forEach(id => document.getElementById(id).addEventListener('input', update))
+    document.getElementById('asteroid-material').addEventListener('change', update)
+    this.controls.addEventListener('end', update)
+    window.addEventListener('languageChanged', update)
+  },
+
+  // Link to the current scenario; with replay set, opening it launches the asteroid
+  getPermalink(replay = false) {
+    const hash = scenarioToHash(this.captureScenario(), { language: i18n.getCurrentLanguage(), replay })
+    return `${window.location.origin}${window.location.pathname}#${hash}`
+  },
+
+  updatePermalink() {
+    // Skip while a panel input is half-typed
+    const { material, ...numbers } = this.readLaunchPanel()
+    if (!Object.values(numbers).every(Number.isFinite)) return
+    history.replaceState(null, '', this.getPermalink())
+  },
+
+  restoreFromPermalink(hash) {
+    let link
+    try {
+      link = scenarioFromHash(hash, this.captureScenario())
+    } catch (error) {
+      console.warn('Ignoring invalid scenario link:', error.message)
+      return
+    }
+    if (!link) return
+
+    if (link.language) {
+      i18n.changeLanguage(link.language)
+    }
+    if (link.replay) {
+      this.replayScenario(link.scenario)
+    } else {
+      this.applyScenario(link.scenario)
+    }
   },
 
   // Initialize the coordinate mapping system
@@ -443,10 +972,10 @@ let app = {
     this.locationLabels = new THREE.Group()
     this.customMarkers = new THREE.Group()
     
-    // Add marker groups directly to scene since Earth is not rotating
-    scene.add(this.locationMarkers)
-    scene.add(this.locationLabels)
-    scene.add(this.customMarkers)
+    // Add marker groups to the Earth-fixed group so they turn with the Earth
+    this.group.add(this.locationMarkers)
+    this.group.add(this.locationLabels)
+    this.group.add(this.customMarkers)
     
     // Add markers for famous locations
     Object.entries(FAMOUS_LOCATIONS).forEach(([name, coords]) => {
@@ -618,6 +1147,12 @@ let app = {
       document.body.removeChild(overlay)
     })
     
+    // Magnitude of the last impact, when there was one with a seismic signal
+    const lastMagnitude = this.lastImpact ? this.lastImpact.zones.seismicMagnitude : null
+    const magnitudeNote = lastMagnitude === null
+      ? ''
+      : `<p>The last impact registered as <strong>M ${lastMagnitude.toFixed(1)}</strong>.</p>`
+
     // Add math explanation content
     content.innerHTML = `
       <h1 style="color: #4a5568; text-align: center; margin-bottom: 10px; font-size: 2.5rem;">🪐 Asteroid Impact Mortality Zone Model</h1>
@@ -672,10 +1207,28 @@ let app = {
       <div style="text-align: center; font-size: 18px; margin: 20px 0; color: #2d3748; background: #edf2f7; padding: 15px; border-radius: 6px;">
         V<sub>thermal</sub>(φ) = 1 / (1 + e<sup>-0.00000562327(φ - 731641.664)</sup>)
       </div>
+
+      <h3 style="color: #5a67d8; margin-top: 25px;">Burn and Ignition Thresholds</h3>
+      <p>The exposure at ground distance D and slant range s is (Collins et al. 2005, Eq. 35), where f is the fraction of the fireball still above the horizon:</p>
+
+      <div style="text-align: center; font-size: 18px; margin: 20px 0; color: #2d3748; background: #edf2f7; padding: 15px; border-radius: 6px;">
+        φ = f η E / (2π s<sup>2</sup>)
+      </div>
+
+      <p>The heat arrives over a pulse lasting τ = η E / (2π R<sub>f</sub><sup>2</sup> σ T<sup>4</sup>) with T = 3000 K. Longer pulses let skin and fuel shed heat, so the Table 2 thresholds for 1 Mt (second-degree burns 0.25, grass 0.38, third-degree burns 0.42, plywood 0.67 and clothing 1.0 MJ/m²) are scaled by E<sub>Mt</sub><sup>1/6</sup>.</p>
       
       <h2 style="color: #667eea; border-bottom: 2px solid #667eea; padding-bottom: 10px; margin-top: 30px;">💨 3. Overpressure (Shockwave Zone)</h2>
       <p><strong>Purpose:</strong> determine radius where blast overpressure causes 50% mortality.</p>
 
+      <h3 style="color: #5a67d8; margin-top: 25px;">Peak Overpressure vs. Distance</h3>
+      <p>From Collins et al. (2005) Eq. 54, with distance scaled to a 1 kt explosion (Z = D / W<sub>kt</sub><sup>1/3</sup>) so that the blast grows with yield:</p>
+
+      <div style="text-align: center; font-size: 18px; margin: 20px 0; color: #2d3748; background: #edf2f7; padding: 15px; border-radius: 6px;">
+        p(Z) = (p<sub>x</sub> Z<sub>x</sub> / 4Z) (1 + 3 (Z<sub>x</sub>/Z)<sup>1.3</sup>), &nbsp; p<sub>x</sub> = 75 kPa, Z<sub>x</sub> = 290 m
+      </div>
+
+      <p>For airbursts the regular-reflection fit p = p<sub>0</sub> e<sup>-βZ</sup> is used inside the Mach stem radius. Rings are drawn at 1 psi (windows shatter), 5 psi (buildings collapse) and 20 psi (total destruction).</p>
+
       <h3 style="color: #5a67d8; margin-top: 25px;">Overpressure Vulnerability</h3>
       <p>From Rumpf Eq. (3.79), expected-case logistic fit:</p>
 
@@ -694,6 +1247,14 @@ let app = {
 
       <p>Midpoint (50% mortality): v<sub>50</sub> = 112.4 m/s</p>
 
+      <p>The peak wind behind the shock front follows from the overpressure (Rumpf Eq. 3.86):</p>
+
+      <div style="text-align: center; font-size: 18px; margin: 20px 0; color: #2d3748; background: #edf2f7; padding: 15px; border-radius: 6px;">
+        u = c<sub>0</sub> √(5p / 7P<sub>0</sub>) √(1 + 6p / 7P<sub>0</sub>)
+      </div>
+
+      <p>Rings are drawn at 33 m/s (hurricane force), 62 m/s (EF3 tornado strength) and 112.4 m/s (50% mortality).</p>
+
       <h2 style="color: #667eea; border-bottom: 2px solid #667eea; padding-bottom: 10px; margin-top: 30px;">🌍 5. Seismic (Earthquake) Zone</h2>
       <p><strong>Purpose:</strong> estimate the distance where seismic shaking causes 50% mortality.</p>
 
@@ -703,6 +1264,18 @@ let app = {
       <div style="text-align: center; font-size: 18px; margin: 20px 0; color: #2d3748; background: #edf2f7; padding: 15px; border-radius: 6px;">
         M = 0.67 log<sub>10</sub>(E) - 5.87
       </div>
+      ${magnitudeNote}
+
+      <h3 style="color: #5a67d8; margin-top: 25px;">Effective Magnitude → Modified Mercalli Intensity</h3>
+      <p>Shaking weakens with distance D (Collins et al. 2005, Eqs. 41–43):</p>
+
+      <div style="text-align: center; font-size: 18px; margin: 20px 0; color: #2d3748; background: #edf2f7; padding: 15px; border-radius: 6px;">
+        M<sub>eff</sub> = M - 2.38×10<sup>-5</sup> D &nbsp; (D &lt; 60 km)<br>
+        M<sub>eff</sub> = M - 4.8×10<sup>-6</sup> D - 1.1644 &nbsp; (D &lt; 700 km)<br>
+        M<sub>eff</sub> = M - 1.66 log<sub>10</sub>(D / R<sub>E</sub>) - 6.399 &nbsp; (farther)
+      </div>
+
+      <p>Intensity rings are drawn where M<sub>eff</sub> drops to 4.0 (IV), 4.5 (V), 5.0 (VI), 6.0 (VII), 6.5 (VIII), 7.0 (IX) and 7.5 (X), following the magnitude–intensity bands of Collins et al. (2005) Table 3.</p>
 
       <h2 style="color: #667eea; border-bottom: 2px solid #667eea; padding-bottom: 10px; margin-top: 30px;">⚖️ 6. Energy and Yield Conversions</h2>
       <p>All these effects depend on the <strong>impact kinetic energy</strong>:</p>
@@ -711,6 +1284,39 @@ let app = {
         E = ½mv² = (π/12) ρ<sub>i</sub> L<sub>0</sub>³ v²
       </div>
 
+      <h2 style="color: #667eea; border-bottom: 2px solid #667eea; padding-bottom: 10px; margin-top: 30px;">☄️ 7. Atmospheric Entry and Airburst</h2>
+      <p><strong>Purpose:</strong> decide whether the impactor reaches the ground intact or explodes in the air, following <strong>Collins, Melosh &amp; Marcus (2005)</strong>.</p>
+
+      <p>The body is integrated from 100 km altitude through an exponential atmosphere ρ(z) = ρ<sub>0</sub> e<sup>-z/H</sup> (ρ<sub>0</sub> = 1 kg/m³, H = 8 km), losing speed to drag and mass to ablation:</p>
+
+      <div style="text-align: center; font-size: 18px; margin: 20px 0; color: #2d3748; background: #edf2f7; padding: 15px; border-radius: 6px;">
+        dv/dt = -C<sub>D</sub> ρ A v² / 2m &nbsp;&nbsp;&nbsp; dm/dt = -C<sub>H</sub> ρ A v³ / 2Q
+      </div>
+
+      <p>It breaks up once the ram pressure ρv² exceeds its yield strength Y<sub>i</sub> = 10<sup>2.107 + 0.0624√ρ<sub>i</sub></sup> Pa. The fragments then spread as a "pancake" (d²L/dt² = C<sub>D</sub> ρ v² / ρ<sub>i</sub> L). If the cloud reaches 7 × L<sub>0</sub> above the ground, the event is an <strong>airburst</strong>: no crater forms and the full kinetic energy is released at the burst altitude. Otherwise the remaining mass and residual velocity are used for the crater, fireball and seismic estimates.</p>
+
+      <h2 style="color: #667eea; border-bottom: 2px solid #667eea; padding-bottom: 10px; margin-top: 30px;">🌊 8. Ocean Impacts and Tsunami</h2>
+      <p><strong>Purpose:</strong> estimate the water cavity, tsunami height and arrival times for impacts into the ocean (land and water are told apart with the Ocean.png mask).</p>
+
+      <p>The transient cavity in water follows Collins et al. (2005) with water as the target; if it is deeper than the ocean, the seafloor is cratered with the velocity left after crossing the water column:</p>
+
+      <div style="text-align: center; font-size: 18px; margin: 20px 0; color: #2d3748; background: #edf2f7; padding: 15px; border-radius: 6px;">
+        D<sub>tcw</sub> = 1.365 (ρ<sub>i</sub>/ρ<sub>w</sub>)<sup>1/3</sup> L<sub>0</sub><sup>0.78</sup> v<sub>i</sub><sup>0.44</sup> g<sub>0</sub><sup>-0.22</sup> sin<sup>1/3</sup>γ
+      </div>
+
+      <p>The rim wave starts at A = D<sub>tcw</sub>/14.1 (limited by the water depth H) and decays as 1/r (Ward &amp; Asphaug 2000). It travels at the dispersive speed c = √(g/k · tanh kH) with wavelength 2D<sub>tcw</sub>, which gives the arrival-time contours. Coastal run-up uses Green's law shoaling, A<sub>shore</sub> = A (H/H<sub>shore</sub>)<sup>1/4</sup>, and cities are marked sheltered when land blocks the great-circle path. Water depth is estimated from the distance to the coast, not from real bathymetry.</p>
+
+      <h2 style="color: #667eea; border-bottom: 2px solid #667eea; padding-bottom: 10px; margin-top: 30px;">👥 9. Exposed Population and Casualties</h2>
+      <p><strong>Purpose:</strong> estimate how many people live inside each ring and how many would die.</p>
+
+      <p>Population comes from a bundled 0.25° grid (≈28 km cells) built from GeoNames settlements and national totals, so the estimate works offline. The population inside a ring is integrated over thin annuli, each sampled around its full circumference. Deaths combine the vulnerability curves above, assuming the hazards act independently, with everyone inside the crater killed:</p>
+
+      <div style="text-align: center; font-size: 18px; margin: 20px 0; color: #2d3748; background: #edf2f7; padding: 15px; border-radius: 6px;">
+        V(r) = 1 - (1 - V<sub>thermal</sub>(φ(r))) (1 - V<sub>overpressure</sub>(p(r))) (1 - V<sub>wind</sub>(u(r))), &nbsp; φ(r) = ηE / 2πs²
+      </div>
+
+      <p>Here s is the slant range to the burst point. Each curve is offset so that no exposure means no deaths. Seismic shaking and tsunamis are not counted.</p>
+
       <h2 style="color: #667eea; border-bottom: 2px solid #667eea; padding-bottom: 10px; margin-top: 30px;">🧩 Summary of 50% Mortality Thresholds</h2>
 
       <table style="width: 100%; border-collapse: collapse; margin: 20px 0; font-size: 0.9rem;">
@@ -803,7 +1409,8 @@ let app = {
       const intersects = this.raycaster.intersectObject(this.earth)
       
       if (intersects.length > 0) {
-        const intersectionPoint = intersects[0].point
+        // Picking happens in world space; lat/lon are defined in the rotating Earth frame
+        const intersectionPoint = this.group.worldToLocal(intersects[0].point.clone())
         const coords = vector3ToLatLon(intersectionPoint)
         
         // Update coordinate display
@@ -826,11 +1433,19 @@ let app = {
     // Debug logging
     console.log(i18n.t('coordinates.clicked', { lat: lat.toFixed(4), lon: lon.toFixed(4) }))
     
+    // Distance to the last impact, with its effects timeline for this point
+    let impactLine = ''
+    if (this.lastImpact) {
+      const distance = calculateDistance(this.lastImpact.lat, this.lastImpact.lon, lat, lon)
+      impactLine = `<br><strong>${i18n.t('ui.distance_to_impact')}:</strong> ${distance.toFixed(1)} km
+        <button class="time-button" onclick="showEffectsTimeline(${lat}, ${lon})">${i18n.t('ui.effects_timeline')}</button>`
+    }
+    
     // Show loading state first
     this.coordInfoDiv.innerHTML = `
       <strong>${i18n.t('coordinates.latitude')}:</strong> ${latStr}<br>
       <strong>${i18n.t('coordinates.longitude')}:</strong> ${lonStr}<br>
-      <strong>${i18n.t('coordinates.region')}:</strong> <span style="color: #888;">${i18n.t('info.loading_data')}</span>
+      <strong>${i18n.t('coordinates.region')}:</strong> <span style="color: #888;">${i18n.t('info.loading_data')}</span>${impactLine}
     `
     
     // Get location asynchronously
@@ -839,14 +1454,14 @@ let app = {
       this.coordInfoDiv.innerHTML = `
         <strong>${i18n.t('coordinates.latitude')}:</strong> ${latStr}<br>
         <strong>${i18n.t('coordinates.longitude')}:</strong> ${lonStr}<br>
-        <strong>${i18n.t('coordinates.region')}:</strong> ${region}
+        <strong>${i18n.t('coordinates.region')}:</strong> ${region}${impactLine}
       `
     } catch (error) {
       console.warn('Failed to get region name:', error)
       this.coordInfoDiv.innerHTML = `
         <strong>${i18n.t('coordinates.latitude')}:</strong> ${latStr}<br>
         <strong>${i18n.t('coordinates.longitude')}:</strong> ${lonStr}<br>
-        <strong>${i18n.t('coordinates.region')}:</strong> <span style="color: #ff6666;">${i18n.t('errors.location_lookup_failed') || 'Location lookup failed'}</span>
+        <strong>${i18n.t('coordinates.region')}:</strong> <span style="color: #ff6666;">${i18n.t('errors.location_lookup_failed') || 'Location lookup failed'}</span>${impactLine}
       `
     }
     
@@ -912,11 +1527,11 @@ let app = {
     this.moveCameraToLocation(lat, lon)
   },
 
-  // Move camera to view a specific location
-  moveCameraToLocation(lat, lon) {
-    // For navigation, use the same coordinate system as the visual markers
-    // The issue might be elsewhere in the camera positioning logic
-    const targetPosition = latLonToVector3(lat, lon, 10)
+  // Move camera to view a specific location, distance in scene units from Earth's center;
+  // minDistance is how close the camera may then zoom in to the location
+  moveCameraToLocation(lat, lon, distance = params.cameraDistance, minDistance = CAMERA_MIN_DISTANCE) {
+    // Markers live in the rotating Earth group, so convert the location to world space
+    const targetPosition = this.group.localToWorld(latLonToVector3(lat, lon, 10))
     
     // Debug logging
     console.log(`Moving camera to: ${lat}, ${lon}`)
@@ -924,7 +1539,7 @@ let app = {
     
     // Calculate camera position - move camera back from the target point
     const cameraDirection = targetPosition.clone().normalize()
-    const cameraPosition = cameraDirection.multiplyScalar(params.cameraDistance)
+    const cameraPosition = cameraDirection.multiplyScalar(distance)
     
     console.log(`Camera position:`, cameraPosition)
     
@@ -932,6 +1547,7 @@ let app = {
     if (this.controls) {
       // Set the target (what the camera looks at) to the location on Earth
       this.controls.target.copy(targetPosition)
+      this.controls.minDistance = minDistance
       
       // Animate camera position
       const startPos = camera.position.clone()
@@ -972,6 +1588,15 @@ let app = {
     }
   },
 
+  // Offline boundaries always answer; the network provider goes first when enabled
+  updateGeocodingProviders() {
+    setGeocodingProviders(params.onlineGeocoding
+      ? [bigDataCloudProvider, this.offlineGeocoder]
+      : [this.offlineGeocoder])
+    // Cached lookups came from the previous providers
+    window.locationCache = {}
+  },
+
   // Update marker visibility
   updateMarkersVisibility() {
     this.locationMarkers.visible = params.showLocationMarkers
@@ -1105,22 +1730,70 @@ let app = {
   updateScene(interval, elapsed) {
     this.controls.update()
     this.stats1.update()
+    this.updateCameraClipping()
+    this.updateTimelinePlayback()
 
-    // Disabled Earth rotation to keep cities in fixed positions
-    // this.earth.rotateY(interval * 0.005 * params.speedFactor)
-    // this.clouds.rotateY(interval * 0.01 * params.speedFactor)
+    // Turn the Earth-fixed group by sidereal time and put the sun over the subsolar point
+    this.updateEarthOrientation()
 
     // Update asteroid animations
     this.updateAsteroids()
     
     // Update orbital path animations
     this.updateOrbitalPaths()
+    
+    // Keep the time controls in sync with the simulation clock
+    this.updateSimulationTimeDisplay()
 
     const shader = this.earth.material.userData.shader
     if ( shader ) {
-      // Disabled shader uniform updates since Earth is not rotating
-      // let offset = (interval * 0.005 * params.speedFactor) / (2 * Math.PI)
-      // shader.uniforms.uv_xOffset.value += offset % 1
+      // clouds.rotation.y is the drift relative to the ground, see updateEarthOrientation
+      shader.uniforms.uv_xOffset.value = (this.clouds.rotation.y / (2 * Math.PI)) % 1
+    }
+  },
+
+  // Pull the near plane in as the camera nears the ground, so close-ups of a crater aren't clipped
+  updateCameraClipping() {
+    const near = Math.min(Math.max((camera.position.length() - 10) * 0.5, 0.0005), 1)
+    if (Math.abs(near - camera.near) > camera.near * 0.1) {
+      camera.near = near
+      camera.updateProjectionMatrix()
+    }
+  },
+
+  updateEarthOrientation() {
+    const date = this.simulationClock.date
+
+    // A location at longitude λ faces right ascension λ + GMST, which is a rotation about +Y
+    this.group.rotation.y = greenwichSiderealAngle(date)
+
+    const daysSinceStart = (date - this.simulationClock.anchorDate) / 86400000
+    this.clouds.rotation.y = (params.cloudDrift * daysSinceStart * Math.PI / 180) % (2 * Math.PI)
+
+    // The light shines from the subsolar point, expressed in the inertial frame
+    const sun = subsolarPoint(date)
+    this.dirLight.position.copy(latLonToVector3(sun.lat, sun.lon, 50).applyEuler(this.group.rotation))
+  },
+
+  updateSimulationTimeDisplay() {
+    const clock = this.simulationClock
+    const dateLabel = document.getElementById('sim-date')
+    if (!dateLabel) return
+
+    // toISOString is always UTC; drop the milliseconds
+    const text = clock.getDate().toISOString().replace('T', ' ').slice(0, 19) + ' UTC'
+    if (dateLabel.textContent !== text) {
+      dateLabel.textContent = text
+    }
+
+    const playButton = document.getElementById('sim-play')
+    playButton.textContent = clock.playing ? '⏸' : '▶'
+    document.getElementById('sim-reverse').classList.toggle('active', clock.direction < 0)
+
+    // Don't fight the user while the scrubber is being dragged
+    const timeline = document.getElementById('sim-timeline')
+    if (!timeline.matches(':active')) {
+      timeline.value = (clock.date - clock.anchorDate) / 86400000
     }
   },
 
@@ -1164,14 +1837,16 @@ let app = {
     )
     
     const intersects = raycaster.intersectObjects(interactableObjects)
+    // Instanced bodies are promoted to a detailed asteroid when picked
+    const swarmEntry = intersects.length > 0 ? null : this.pickSwarmAsteroid()
     
-    if (intersects.length > 0) {
+    if (intersects.length > 0 || swarmEntry) {
       // Reset previous selection
       if (this.selectedAsteroid) {
         this.resetAsteroidAppearance(this.selectedAsteroid)
       }
       
-      this.selectedAsteroid = intersects[0].object
+      this.selectedAsteroid = swarmEntry ? this.promoteSwarmAsteroid(swarmEntry) : intersects[0].object
       this.highlightAsteroid(this.selectedAsteroid, 'select')
       this.updateSelectedAsteroidInfo(this.selectedAsteroid)
       
@@ -1180,7 +1855,7 @@ let app = {
       // Check if clicking on Earth for impact simulation
       const earthIntersects = raycaster.intersectObject(this.earth)
       if (earthIntersects.length > 0) {
-        const intersectionPoint = earthIntersects[0].point
+        const intersectionPoint = this.group.worldToLocal(earthIntersects[0].point.clone())
         const coords = vector3ToLatLon(intersectionPoint)
         
         // Update coordinate display
@@ -1215,14 +1890,15 @@ let app = {
     )
     
     const intersects = raycaster.intersectObjects(interactableObjects)
+    const swarmEntry = intersects.length > 0 ? null : this.pickSwarmAsteroid()
     
     // Reset previous selection
     if (this.selectedAsteroid) {
       this.resetAsteroidAppearance(this.selectedAsteroid)
     }
     
-    if (intersects.length > 0) {
-      this.selectedAsteroid = intersects[0].object
+    if (intersects.length > 0 || swarmEntry) {
+      this.selectedAsteroid = swarmEntry ? this.promoteSwarmAsteroid(swarmEntry) : intersects[0].object
       this.highlightAsteroid(this.selectedAsteroid, 'select')
       this.updateSelectedAsteroidInfo(this.selectedAsteroid)
     } else {
@@ -1371,10 +2047,18 @@ let app = {
       composition: 'Unknown' 
     }
     
+    const catalogEntry = (this.asteroidCatalog || []).find(entry => entry.name === name)
+    
     // Look up properties in the imported data
     if (asterooidSizeandSpeedData && asterooidSizeandSpeedData[name]) {
       properties = asterooidSizeandSpeedData[name]
       console.log(`Found asteroid properties for ${name}:`, properties)
+    } else if (catalogEntry) {
+      // Objects imported from a population file only have catalog estimates
+      properties = {
+        size_km: catalogEntry.diameter_m === null ? 'Unknown' : catalogEntry.diameter_m / 1000,
+        speed_km_s: catalogEntry.speed_km_s === null ? 'Unknown' : catalogEntry.speed_km_s
+      }
     } else {
       console.warn(`No properties found for asteroid: ${name}`)
       console.log('Available asteroids in properties file:', Object.keys(asterooidSizeandSpeedData || {}))
@@ -1386,6 +2070,15 @@ let app = {
     this.selectedAsteroidInfo.speed = properties.speed_km_s || 'Unknown'
     this.selectedAsteroidInfo.composition = properties.composition || 'Unknown'
 
+    // The data files rarely carry an impact probability, so it starts at zero;
+    // the date defaults to the next close approach when the orbit places the body
+    const encounter = userData.elements && hasOrbitalPhase(userData.elements)
+      ? nextCloseApproach(userData.elements, this.simulationClock.date)
+      : null
+    this.selectedAsteroidInfo.impactProbability = typeof properties.impact_probability === 'number' ? properties.impact_probability : 0
+    this.selectedAsteroidInfo.impactDate = encounter ? new Date(encounter.date_ms).toISOString().slice(0, 10) : ''
+    this.rateAsteroid(asteroid)
+
     // Update the asteroid impact parameters if values are valid numbers
     if (typeof properties.size_km === 'number') {
       // Convert km to meters and clamp to valid range
@@ -1397,6 +2090,12 @@ let app = {
       if (diameterInput) {
         diameterInput.value = sizeInMeters
       }
+
+      // The feed's diameter range becomes the Monte Carlo diameter range
+      const { min_m, max_m } = feedDiameterRange(properties)
+      document.getElementById('mc-diameter-type').value = 'loguniform'
+      document.getElementById('mc-diameter-a').value = Math.max(min_m, 1).toFixed(0)
+      document.getElementById('mc-diameter-b').value = Math.min(max_m, 10000).toFixed(0)
     }
     
     if (typeof properties.speed_km_s === 'number') {
@@ -1452,6 +2151,74 @@ let app = {
     this.selectedAsteroidInfo.size = 'Unknown'
     this.selectedAsteroidInfo.speed = 'Unknown'
     this.selectedAsteroidInfo.composition = 'Unknown'
+    this.selectedAsteroidInfo.impactProbability = 0
+    this.selectedAsteroidInfo.impactDate = ''
+    this.selectedAsteroidInfo.energy = 'Unknown'
+    this.selectedAsteroidInfo.torino = '-'
+    this.selectedAsteroidInfo.palermo = '-'
+    this.torinoController.__li.style.borderLeftColor = ''
+  },
+
+  /**
+   * Torino and Palermo ratings of an asteroid for the impact probability and
+   * date in the selected asteroid panel, shown in the panel and, in the Torino
+   * color, under the asteroid's label
+   * @param {THREE.Object3D} asteroid - Orbiting asteroid
+   */
+  rateAsteroid(asteroid) {
+    const info = this.selectedAsteroidInfo
+    if (!asteroid || !info) return
+
+    const hazard = assessHazard({
+      diameter_m: typeof info.size === 'number' ? info.size * 1000 : null,
+      speed_km_s: typeof info.speed === 'number' ? info.speed : null,
+      density: DEFAULT_DENSITY,
+      probability: Math.min(Math.max(info.impactProbability, 0), 1),
+      date_ms: Date.parse(info.impactDate),
+      now_ms: this.simulationClock.date
+    })
+    info.energy = hazard.energy_mt === null ? 'Unknown' : hazard.energy_mt.toPrecision(3)
+    info.torino = hazard.torino === null ? '-' : hazard.torino
+    info.palermo = hazard.palermo === null ? '-' : hazard.palermo.toFixed(2)
+    this.torinoController.__li.style.borderLeftColor = hazard.torino === null ? '' : hazard.color
+
+    const { labelSprite, name } = asteroid.userData
+    if (labelSprite) {
+      asteroid.userData.hazard = hazard
+      this.drawAsteroidLabel(labelSprite.material.map.image, name, hazard)
+      labelSprite.material.map.needsUpdate = true
+    }
+  },
+
+  /**
+   * Draw an orbiting asteroid's name label, with its hazard rating underneath
+   * once it has been rated
+   * @param {HTMLCanvasElement} canvas - Label canvas
+   * @param {string} name - Asteroid name
+   * @param {object|null} hazard - assessHazard result
+   */
+  drawAsteroidLabel(canvas, name, hazard = null) {
+    const context = canvas.getContext('2d')
+    const rated = hazard && hazard.torino !== null
+    context.clearRect(0, 0, canvas.width, canvas.height)
+    context.fillStyle = 'rgba(0, 0, 0, 0.8)'
+    context.fillRect(0, 0, canvas.width, canvas.height)
+
+    context.fillStyle = '#ffffff'
+    context.font = 'bold 36px Arial'
+    context.textAlign = 'center'
+    context.textBaseline = 'middle'
+    const displayName = name.length > 20 ? name.substring(0, 17) + '...' : name
+    context.fillText(displayName, canvas.width / 2, rated ? canvas.height * 0.3 : canvas.height / 2)
+
+    if (rated) {
+      const palermo = hazard.palermo === null ? '–' : hazard.palermo.toFixed(2)
+      context.fillStyle = hazard.color
+      context.font = 'bold 32px Arial'
+      context.fillText(`Torino ${hazard.torino} · PS ${palermo}`, canvas.width / 2, canvas.height * 0.74)
+      // Torino color bar along the left edge
+      context.fillRect(0, 0, 12, canvas.height)
+    }
   },
 
   // Launch an asteroid toward a target position
@@ -1505,7 +2272,13 @@ let app = {
         (Math.random() - 0.5) * 0.2
       ),
       // Pass size for impact scaling
-      realSizeMeters: sizeInMeters
+      realSizeMeters: sizeInMeters,
+      // Keep the launch parameters with the asteroid, params is restored before impact
+      speedKmPerSec: speedInKmPerSec,
+      density: params.usingCustomParams ? params.customDensity : 3100,
+      angle: params.usingCustomParams ? params.customAngle : 45,
+      azimuth: params.usingCustomParams ? params.customAzimuth : 0,
+      material: params.usingCustomParams ? params.customMaterial : 'auto'
     };
 
     this.group.add(asteroid);
@@ -1564,12 +2337,9 @@ let app = {
   },
 
   // Launch asteroid to specific coordinates with custom parameters
-  launchAsteroidToCoordinates(lat, lon, diameter, speed, density, angle) {
-    // Convert lat/lon to world position on Earth surface
-    const worldPosition = latLonToVector3(lat, lon, 10.02); // Slightly above Earth surface
-    
-    // Convert world coordinates to local coordinates relative to the group
-    const localPosition = this.group.worldToLocal(worldPosition.clone());
+  launchAsteroidToCoordinates(lat, lon, diameter, speed, density, angle, azimuth = 0, material = 'auto') {
+    // Position on the Earth surface in the Earth-fixed group, where launchAsteroid works
+    const localPosition = latLonToVector3(lat, lon, 10.02); // Slightly above Earth surface
     
     // Temporarily store current params
     const originalSize = params.asteroidSize;
@@ -1580,6 +2350,8 @@ let app = {
     params.asteroidSpeed = speed / 1000; // Convert m/s to km/s for consistency
     params.customDensity = density;
     params.customAngle = angle;
+    params.customAzimuth = azimuth;
+    params.customMaterial = material;
     params.usingCustomParams = true;
     
     // Use the existing asteroid launch system
@@ -1590,99 +2362,748 @@ let app = {
     params.asteroidSpeed = originalSpeed;
     delete params.customDensity;
     delete params.customAngle;
+    delete params.customAzimuth;
+    delete params.customMaterial;
     delete params.usingCustomParams;
     
+    // Record what was launched, together with the view and date it was launched at
+    this.lastScenario = this.captureScenario({ lat, lon, diameter, speed, density, angle, azimuth, material });
+    
     console.log(`Asteroid launched to ${lat.toFixed(4)}, ${lon.toFixed(4)} with ${diameter}m diameter at ${speed}m/s`);
   },
 
-  createImpactCrater(impactPosition, realSizeMeters, speed = params.asteroidSpeed) {
+  // Read the launch panel inputs (speed in m/s, as launchAsteroidToCoordinates expects)
+  readLaunchPanel() {
+    const value = (id) => parseFloat(document.getElementById(id).value)
+    return {
+      lat: value('target-lat'),
+      lon: value('target-lon'),
+      diameter: value('asteroid-diameter'),
+      speed: value('asteroid-speed'),
+      density: value('asteroid-density'),
+      angle: value('impact-angle'),
+      azimuth: value('impact-azimuth'),
+      material: document.getElementById('asteroid-material').value
+    }
+  },
+
+  // Snapshot a launch and the current view and simulation date as a scenario document
+  captureScenario(launch = this.readLaunchPanel()) {
+    const clock = this.simulationClock
+    return createScenario({
+      target: { lat: launch.lat, lon: launch.lon },
+      impactor: {
+        diameter_m: launch.diameter,
+        speed_m_s: launch.speed,
+        density_kg_m3: launch.density,
+        angle_deg: launch.angle,
+        azimuth_deg: launch.azimuth,
+        material: launch.material
+      },
+      asteroid: this.selectedAsteroid ? this.selectedAsteroid.userData.name : null,
+      camera: { position: camera.position.toArray(), target: this.controls.target.toArray() },
+      simulation: { date: clock.date, rate: clock.rate * clock.direction, playing: clock.playing }
+    })
+  },
+
+  // Restore the panel, asteroid selection, camera and clock from a scenario document
+  applyScenario(scenario) {
+    if (this.selectedAsteroid) {
+      this.resetAsteroidAppearance(this.selectedAsteroid)
+      this.selectedAsteroid = null
+      this.clearSelectedAsteroidInfo()
+    }
+    // Selecting an asteroid fills in its size and speed, so do it before the panel values
+    const catalogEntry = this.asteroidCatalog.find(entry => entry.name === scenario.asteroid)
+    if (catalogEntry) this.showCatalogAsteroid(catalogEntry)
+    const asteroid = this.orbitalPaths.find(obj => obj.userData && obj.userData.isInteractive && obj.userData.name === scenario.asteroid)
+    if (asteroid) {
+      this.selectedAsteroid = asteroid
+      this.highlightAsteroid(asteroid, 'select')
+      this.updateSelectedAsteroidInfo(asteroid)
+    } else if (scenario.asteroid) {
+      console.warn(`Scenario asteroid not found: ${scenario.asteroid}`)
+    }
+
+    const inputs = {
+      'target-lat': scenario.target.lat,
+      'target-lon': scenario.target.lon,
+      'asteroid-diameter': scenario.impactor.diameter_m,
+      'asteroid-speed': scenario.impactor.speed_m_s,
+      'asteroid-density': scenario.impactor.density_kg_m3,
+      'impact-angle': scenario.impactor.angle_deg,
+      'impact-azimuth': scenario.impactor.azimuth_deg,
+      'asteroid-material': scenario.impactor.material
+    }
+    Object.entries(inputs).forEach(([id, value]) => {
+      document.getElementById(id).value = value
+    })
+
+    camera.position.fromArray(scenario.camera.position)
+    this.controls.target.fromArray(scenario.camera.target)
+    this.controls.minDistance = CAMERA_MIN_DISTANCE
+    this.controls.update()
+
+    const clock = this.simulationClock
+    const { date, rate, playing } = scenario.simulation
+    clock.reset(Date.parse(date))
+    clock.setRate(rate)
+    clock.direction = Math.sign(rate) || 1
+    clock.playing = playing
+    params.simulationRate = Math.abs(rate)
+    document.getElementById('sim-rate').value = String(params.simulationRate)
+    this.updateEarthOrientation()
+    this.updateSimulationTimeDisplay()
+
+    this.lastScenario = scenario
+    this.updatePermalink()
+  },
+
+  // Restore a scenario and launch its asteroid, reproducing the original run
+  replayScenario(scenario) {
+    this.applyScenario(scenario)
+    const { target, impactor } = scenario
+    this.launchAsteroidToCoordinates(target.lat, target.lon, impactor.diameter_m, impactor.speed_m_s, impactor.density_kg_m3, impactor.angle_deg, impactor.azimuth_deg, impactor.material)
+    // The launch re-captures the scenario; keep the document that was loaded
+    this.lastScenario = scenario
+  },
+
+  createImpactCrater(impactPosition, realSizeMeters, speed = params.asteroidSpeed, density = 3100, angle = 45, azimuth = 0, material = 'auto') {
     // Calculate impact zones using the imported physics model
-    this.calculateAndVisualizeImpactZones(impactPosition, realSizeMeters, speed * 1000); // Convert km/s to m/s
+    const zones = this.calculateAndVisualizeImpactZones(impactPosition, realSizeMeters, speed * 1000, density, angle, azimuth, material); // Convert km/s to m/s
     
-    // Create impact flash effect
-    this.createImpactFlash(impactPosition, realSizeMeters, speed);
+    // Leave the crater behind; an airburst or a crater under the sea only flashes
+    if (zones.crater.D_final_m > 0 && zones.target === 'land') {
+      this.createCraterMesh(impactPosition, zones.crater, zones.footprints.crater);
+    } else {
+      this.createImpactFlash(impactPosition, realSizeMeters, speed);
+    }
   },
 
 
-  calculateAndVisualizeImpactZones(impactPosition, asteroidDiameter_m, speed_ms) {
-    // Use custom parameters if they were set, otherwise use defaults
+  calculateAndVisualizeImpactZones(impactPosition, asteroidDiameter_m, speed_ms, density = 3100, angle = 45, azimuth = 0, material = 'auto') {
+    // Convert world coordinates to lat/lon for zone calculation
+    const impactCoords = vector3ToLatLon(impactPosition);
+    const impactLat = impactCoords.lat;
+    const impactLon = impactCoords.lon;
+
+    // Land or water target from the Ocean.png mask
+    const overWater = isWater(this.surfaceMask, impactLat, impactLon);
+
     const impactParams = {
       L0_m: asteroidDiameter_m,
-      rho_i: params.usingCustomParams ? params.customDensity : 3100,      // kg/m³ (custom or typical stony asteroid density)
-      rho_t: 2500,      // kg/m³ (typical sedimentary rock density)
+      rho_i: density,   // kg/m³ (panel value or typical stony asteroid density)
+      rho_t: 2500,      // kg/m³ (typical sedimentary rock density, also used for the seafloor)
       v_ms: speed_ms,
-      gamma_deg: params.usingCustomParams ? params.customAngle : 45,    // Custom or 45° impact angle
-      luminousEfficiency: 1e-3  // typical luminous efficiency
+      gamma_deg: angle, // panel value or 45° impact angle
+      azimuth_deg: azimuth, // direction of travel, stretches oblique footprints downrange
+      luminousEfficiency: 1e-3,  // typical luminous efficiency
+      target: overWater ? 'water' : 'land',
+      waterDepth_m: overWater ? estimateWaterDepth(this.surfaceMask, impactLat, impactLon) : 0
     };
+    // A chosen material sets the breakup strength; 'auto' derives it from the density
+    const { strength_Pa } = ImpactZones.MATERIALS[material] || ImpactZones.MATERIALS.auto;
+    if (strength_Pa !== null) impactParams.strength_Pa = strength_Pa;
 
-    // Calculate impact zones using Rumpf (2016) physics model
+    // Calculate atmospheric entry and impact zones (Collins 2005 / Rumpf 2016)
     const zones = ImpactZones.computeAll(impactParams);
+    if (zones.tsunami) {
+      zones.tsunami.coastalRunups = this.estimateCoastalRunups(impactLat, impactLon, zones.tsunami);
+    }
+    zones.population = this.estimateImpactPopulation(impactLat, impactLon, zones);
+    zones.energyComparisons = compareEnergy(zones.energy_kt);
+    zones.energyLadder = energyLadder(zones.energy_kt);
+    // Observers clicked afterwards get a timeline of this impact
+    this.lastImpact = { lat: impactLat, lon: impactLon, zones };
     
     console.log('Impact zones calculated:', zones);
-    if (params.usingCustomParams) {
-      console.log('Using custom parameters:', { 
-        density: params.customDensity, 
-        angle: params.customAngle 
-      });
+    if (zones.event === 'airburst') {
+      console.log(`Airburst at ${(zones.burstAltitude_m / 1000).toFixed(1)} km altitude - no crater formed`);
     }
     
-    // Convert world coordinates to lat/lon for zone calculation
-    const impactCoords = vector3ToLatLon(impactPosition);
-    const impactLat = impactCoords.lat;
-    const impactLon = impactCoords.lon;
-    
     // Create visual zones on Earth surface
     this.createImpactZoneVisualization(impactLat, impactLon, zones);
+    if (zones.ejecta) {
+      this.createEjectaBlanket(impactLat, impactLon, zones);
+    }
+    if (zones.fragmentation) {
+      this.createStrewnField(impactLat, impactLon, azimuth, zones.fragmentation);
+    }
+    return zones;
   },
 
-  createImpactZoneCircle(centerLat, centerLon, config) {
-    const radius_m = config.radius_m;
-    const earthRadius_m = 6371000; // Earth radius in meters
-    
-    // Convert radius to angular distance (radians)
-    const angularRadius = radius_m / earthRadius_m;
-    
-    // Create circle geometry points around the impact center
-    const segments = 64;
-    const points = [];
-    
-    for (let i = 0; i <= segments; i++) {
-      const angle = (i / segments) * Math.PI * 2;
-      
-      // Calculate point on circle using spherical trigonometry
-      const deltaLat = angularRadius * Math.cos(angle);
-      const deltaLon = angularRadius * Math.sin(angle) / Math.cos(centerLat * Math.PI / 180);
-      
-      const lat = centerLat + (deltaLat * 180 / Math.PI);
-      const lon = centerLon + (deltaLon * 180 / Math.PI);
-      
-      // Convert to 3D position slightly above Earth surface
-      const position = latLonToVector3(lat, lon, 10.02 + config.opacity * 0.1);
-      points.push(position);
-    }
-    
-    // Create the zone circle geometry
-    const geometry = new THREE.BufferGeometry().setFromPoints(points);
-    const material = new THREE.LineBasicMaterial({
-      color: config.color,
-      transparent: true,
-      opacity: Math.max(config.opacity, 0.8), // Ensure minimum visibility
-      linewidth: 5 // Make lines thicker for better visibility
-    });
+  // Arrival, duration and local strength of each hazard of the last impact at an observer point
+  showEffectsTimeline(lat, lon) {
+    if (!this.lastImpact) return
+    const { zones } = this.lastImpact
+    const distance_m = calculateDistance(this.lastImpact.lat, this.lastImpact.lon, lat, lon) * 1000
+    const onWater = isWater(this.surfaceMask, lat, lon)
+    const coastal = onWater || distanceToSurface(this.surfaceMask, lat, lon, true, 50) < 50
+    const sheltered = coastal && !isSeaPathOpen(this.surfaceMask, this.lastImpact.lat, this.lastImpact.lon, lat, lon)
+    const entries = ImpactZones.effectsTimeline(zones, distance_m, { coastal, sheltered })
+    this.effectsTimeline = { lat, lon, distance_m, entries }
+
+    document.getElementById('timeline-observer').textContent =
+      `${lat.toFixed(4)}°, ${lon.toFixed(4)}° · ${(distance_m / 1000).toFixed(1)} km`
+    const body = document.querySelector('#timeline-table tbody')
+    body.innerHTML = ''
+    entries.forEach(entry => {
+      const row = body.insertRow()
+      row.dataset.effect = entry.effect
+      const cells = [
+        i18n.t(`ui.effect_${entry.effect}`),
+        `T+ ${this.formatElapsed(entry.arrival_s)}`,
+        entry.duration_s === null ? '-' : this.formatElapsed(entry.duration_s),
+        this.describeEffectIntensity(entry)
+      ]
+      cells.forEach(text => {
+        row.insertCell().textContent = text
+      })
+    })
+    document.getElementById('timeline-clock').textContent = ''
+    document.getElementById('timeline-window').style.display = 'flex'
+  },
 
-    const circle = new THREE.Line(geometry, material);
-    circle.userData = {
-      type: 'impactZone',
-      zoneName: config.name,
-      label: config.label,
-      radius_m: radius_m
-    };
+  // Seconds after impact as s, min or h
+  formatElapsed(seconds) {
+    if (seconds < 1) return '< 1 s'
+    if (seconds < 60) return `${seconds.toFixed(0)} s`
+    if (seconds < 3600) return `${(seconds / 60).toFixed(1)} min`
+    return `${(seconds / 3600).toFixed(1)} h`
+  },
 
-    // Add to scene
-    this.group.add(circle);
+  describeEffectIntensity(entry) {
+    switch (entry.effect) {
+      case 'thermal':
+        return i18n.t('ui.timeline_thermal', { fluence: (entry.fluence_J_m2 / 1000).toPrecision(3) })
+      case 'seismic':
+        return i18n.t('ui.timeline_seismic', { magnitude: entry.magnitude.toFixed(1) })
+      case 'blast':
+        return i18n.t('ui.timeline_blast', {
+          overpressure: (entry.overpressure_Pa / 1000).toPrecision(3),
+          wind: entry.wind_ms.toFixed(0)
+        })
+      case 'ejecta':
+        return i18n.t('ui.timeline_ejecta', {
+          thickness: entry.thickness_m >= 1 ? `${entry.thickness_m.toFixed(1)} m` : `${(entry.thickness_m * 100).toFixed(1)} cm`
+        })
+      case 'tsunami':
+        return entry.runup_m > 0
+          ? i18n.t('ui.timeline_tsunami', { runup: entry.runup_m.toFixed(1) })
+          : i18n.t('ui.timeline_tsunami_sheltered')
+      default:
+        return ''
+    }
+  },
+
+  // Replay the timeline: hazard fronts grow on the globe while the rows light up as they reach the observer
+  playEffectsTimeline() {
+    if (!this.lastImpact || !this.effectsTimeline) return
+    this.stopEffectsTimeline()
+    const lastArrival = Math.max(...this.effectsTimeline.entries.map(entry => entry.arrival_s), 1)
+    const rings = {}
+    Object.entries(TIMELINE_EFFECT_COLORS).forEach(([effect, color]) => {
+      const geometry = new THREE.BufferGeometry()
+      geometry.setAttribute('position', new THREE.Float32BufferAttribute(new Float32Array(65 * 3), 3))
+      const ring = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.9 }))
+      ring.visible = false
+      ring.frustumCulled = false
+      this.group.add(ring)
+      rings[effect] = ring
+    })
+    this.timelinePlayback = {
+      startTime: performance.now(),
+      rate: (lastArrival * 1.1) / TIMELINE_PLAYBACK_S,
+      end_s: lastArrival * 1.1,
+      rings
+    }
+  },
+
+  stopEffectsTimeline() {
+    if (!this.timelinePlayback) return
+    Object.values(this.timelinePlayback.rings).forEach(ring => {
+      this.group.remove(ring)
+      ring.geometry.dispose()
+      ring.material.dispose()
+    })
+    this.timelinePlayback = null
+  },
+
+  updateTimelinePlayback() {
+    const playback = this.timelinePlayback
+    if (!playback) return
+    const t = Math.min(((performance.now() - playback.startTime) / 1000) * playback.rate, playback.end_s)
+    const { lat, lon, zones } = this.lastImpact
+
+    Object.entries(playback.rings).forEach(([effect, ring]) => {
+      const radius_m = ImpactZones.effectRadiusAt(zones, effect, t)
+      ring.visible = radius_m !== null && radius_m > 0
+      if (!ring.visible) return
+      const position = ring.geometry.attributes.position
+      for (let i = 0; i <= 64; i++) {
+        const point = destinationPoint(lat, lon, (i / 64) * 360, radius_m / 1000)
+        latLonToVector3(point.lat, point.lon, 10.03).toArray(position.array, i * 3)
+      }
+      position.needsUpdate = true
+    })
+
+    document.getElementById('timeline-clock').textContent = `T+ ${this.formatElapsed(t)}`
+    document.querySelectorAll('#timeline-table tbody tr').forEach((row, index) => {
+      row.classList.toggle('arrived', this.effectsTimeline.entries[index].arrival_s <= t)
+    })
+    if (t >= playback.end_s) {
+      this.stopEffectsTimeline()
+    }
+  },
+
+  // Uncertain inputs from the Monte Carlo section of the control panel
+  readUncertaintyPanel() {
+    const distribution = (name) => ({
+      type: document.getElementById(`mc-${name}-type`).value,
+      a: parseFloat(document.getElementById(`mc-${name}-a`).value),
+      b: parseFloat(document.getElementById(`mc-${name}-b`).value)
+    })
+    return {
+      samples: parseInt(document.getElementById('mc-samples').value, 10),
+      distributions: {
+        diameter_m: distribution('diameter'),
+        density: distribution('density'),
+        speed_km_s: distribution('speed'),
+        angle_deg: distribution('angle')
+      }
+    }
+  },
+
+  // Spread of outcomes at the panel's target, run in a worker so the globe keeps rendering
+  runUncertainty() {
+    const launch = this.readLaunchPanel()
+    const { samples, distributions } = this.readUncertaintyPanel()
+
+    // Target, heading and material stay as in the launch panel
+    const overWater = isWater(this.surfaceMask, launch.lat, launch.lon)
+    const fixed = {
+      azimuth_deg: launch.azimuth,
+      target: overWater ? 'water' : 'land',
+      waterDepth_m: overWater ? estimateWaterDepth(this.surfaceMask, launch.lat, launch.lon) : 0
+    }
+    const { strength_Pa } = ImpactZones.MATERIALS[launch.material] || ImpactZones.MATERIALS.auto
+    if (strength_Pa !== null) fixed.strength_Pa = strength_Pa
+
+    if (this.uncertaintyWorker) this.uncertaintyWorker.terminate()
+    const worker = new Worker(new URL('./monte-carlo-worker.js', import.meta.url), { type: 'module' })
+    this.uncertaintyWorker = worker
+    const progress = document.getElementById('mc-progress')
+    progress.textContent = i18n.t('ui.mc_running', { done: 0, total: samples })
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        progress.textContent = i18n.t('ui.mc_running', { done: data.done, total: data.total })
+        return
+      }
+      worker.terminate()
+      this.uncertaintyWorker = null
+      if (data.type === 'error') {
+        progress.textContent = ''
+        alert(data.message)
+        return
+      }
+      progress.textContent = ''
+      this.showUncertainty(launch, fixed, data.summary)
+    }
+    // A worker that fails to load or throws outside its own try never posts back
+    worker.onerror = (event) => {
+      event.preventDefault()
+      worker.terminate()
+      this.uncertaintyWorker = null
+      progress.textContent = ''
+      alert(event.message || i18n.t('ui.mc_failed'))
+    }
+    worker.postMessage({ spec: { samples, distributions, fixed } })
+  },
+
+  // Table of medians and 5–95% bands, and the bands as shaded annuli around the target
+  showUncertainty(launch, fixed, summary) {
+    // Colors and labels follow the rings of the nominal launch
+    const configs = this.impactZoneConfigs(ImpactZones.computeAll({
+      ...fixed,
+      L0_m: launch.diameter,
+      rho_i: launch.density,
+      v_ms: launch.speed,
+      gamma_deg: launch.angle
+    })).filter(config => summary.metrics[config.name] && summary.metrics[config.name].p95 > 0)
+
+    document.getElementById('uncertainty-summary').textContent = i18n.t('ui.mc_summary', {
+      samples: summary.samples,
+      airburst: (summary.airburstFraction * 100).toFixed(0)
+    })
+    const body = document.querySelector('#uncertainty-table tbody')
+    body.innerHTML = ''
+    const addRow = (label, { median, p5, p95 }, format) => {
+      const row = body.insertRow()
+      const cells = [label, format(median), format(p5), format(p95)]
+      cells.forEach(text => {
+        row.insertCell().textContent = text
+      })
+    }
+    addRow(i18n.t('ui.mc_energy'), summary.metrics.energy_kt, kt => kt.toPrecision(3))
+    configs.forEach(config => {
+      addRow(`${config.label} (km)`, summary.metrics[config.name], meters => (meters / 1000).toPrecision(3))
+    })
+    document.getElementById('uncertainty-window').style.display = 'flex'
+
+    this.clearUncertainty()
+    this.uncertaintyGroup = new THREE.Group()
+    const segments = 64
+    // Each band keeps the shape of its nominal ring, stretched downrange at the launch panel's angle
+    const outline = (footprint, radius_m, radius) =>
+      ImpactZones.footprintOutline(footprint, radius_m, segments).map(({ along_m, cross_m }) => {
+        const { lat, lon } = trackPoint(launch.lat, launch.lon, footprint.azimuth_deg, along_m / 1000, cross_m / 1000)
+        return latLonToVector3(lat, lon, radius)
+      })
+    const circle = { shape: 'circle', azimuth_deg: 0, elongation: 1, downrangeShift: 0 }
+    // Widest first, so the narrow bands near the target are drawn on top
+    configs.sort((a, b) => summary.metrics[b.name].p95 - summary.metrics[a.name].p95)
+    configs.forEach(config => {
+      const { median, p5, p95 } = summary.metrics[config.name]
+      const footprint = config.footprint || circle
+      if (p95 > p5) {
+        const band = new THREE.Mesh(
+          this.createBandGeometry(radius_m => outline(footprint, radius_m, 10.012), p5, p95, segments),
+          new THREE.MeshBasicMaterial({
+            color: config.color,
+            transparent: true,
+            opacity: 0.2,
+            side: THREE.DoubleSide,
+            depthWrite: false
+          })
+        )
+        band.userData = { type: 'uncertaintyBand', zoneName: config.name, label: `${config.label} (5–95%)` }
+        this.uncertaintyGroup.add(band)
+      }
+      if (median > 0) {
+        const line = new THREE.Line(
+          new THREE.BufferGeometry().setFromPoints(outline(footprint, median, 10.02)),
+          new THREE.LineBasicMaterial({ color: config.color, transparent: true, opacity: 0.9 })
+        )
+        line.userData = { type: 'uncertaintyBand', zoneName: config.name, label: `${config.label} (median)` }
+        this.uncertaintyGroup.add(line)
+      }
+    })
+    this.group.add(this.uncertaintyGroup)
+  },
+
+  clearUncertainty() {
+    if (!this.uncertaintyGroup) return
+    this.uncertaintyGroup.traverse(child => {
+      if (child.geometry) child.geometry.dispose()
+      if (child.material) child.material.dispose()
+    })
+    this.group.remove(this.uncertaintyGroup)
+    this.uncertaintyGroup = null
+  },
+
+  // People inside each damage ring and expected deaths, keyed like the zone-* rows of the impact window
+  estimateImpactPopulation(impactLat, impactLon, zones) {
+    const rings = {
+      crater: zones.crater.D_final_m / 2,
+      fireball: zones.fireball50_m,
+      seismic: zones.seismicDamage_m
+    };
+    zones.thermalZones.forEach(zone => { rings[`thermal-${zone.level}`] = zone.radius_m; });
+    zones.overpressureZones.forEach(zone => { rings[`overpressure-${zone.level}`] = zone.radius_m; });
+    zones.windZones.forEach(zone => { rings[`wind-${zone.level}`] = zone.radius_m; });
+
+    return estimatePopulationImpact(this.populationGrid, impactLat, impactLon, rings,
+      distance_m => ImpactZones.mortalityAtDistance(zones, distance_m));
+  },
+
+  // Tsunami run-up at the coastal FAMOUS_LOCATIONS cities reachable over open water
+  estimateCoastalRunups(impactLat, impactLon, tsunami) {
+    const runups = [];
+    Object.entries(FAMOUS_LOCATIONS).forEach(([name, coords]) => {
+      if (RUNUP_EXCLUDED_LOCATIONS.includes(name)) return;
+
+      // Cities without open water within 50 km are inland
+      if (distanceToSurface(this.surfaceMask, coords.lat, coords.lon, true, 50) >= 50) return;
+
+      const distance_m = calculateDistance(impactLat, impactLon, coords.lat, coords.lon) * 1000;
+      const sheltered = !isSeaPathOpen(this.surfaceMask, impactLat, impactLon, coords.lat, coords.lon);
+      const runup_m = sheltered ? 0 : ImpactZones.tsunamiRunup(tsunami, distance_m);
+      if (!sheltered && runup_m < 0.1) return;
+
+      runups.push({
+        name,
+        distance_m,
+        arrival_s: ImpactZones.tsunamiArrivalTime(tsunami, distance_m),
+        runup_m,
+        sheltered
+      });
+    });
+    return runups.sort((a, b) => b.runup_m - a.runup_m);
+  },
+
+  createImpactZoneCircle(centerLat, centerLon, config) {
+    const radius_m = config.radius_m;
+    
+    // Circle, or the ellipse or butterfly an oblique impact stretches it into
+    const footprint = config.footprint || { shape: 'circle', azimuth_deg: 0, elongation: 1, downrangeShift: 0 };
+    const points = ImpactZones.footprintOutline(footprint, radius_m, 64).map(({ along_m, cross_m }) => {
+      // Geodesic outline so large rings (tsunami, seismic) stay correct on the sphere
+      const { lat, lon } = trackPoint(centerLat, centerLon, footprint.azimuth_deg, along_m / 1000, cross_m / 1000);
+      
+      // Convert to 3D position slightly above Earth surface
+      return latLonToVector3(lat, lon, 10.02 + config.opacity * 0.1);
+    });
+    
+    // Create the zone circle geometry
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    const material = new THREE.LineBasicMaterial({
+      color: config.color,
+      transparent: true,
+      opacity: Math.max(config.opacity, 0.8), // Ensure minimum visibility
+      linewidth: 5 // Make lines thicker for better visibility
+    });
+
+    const circle = new THREE.Line(geometry, material);
+    circle.userData = {
+      type: 'impactZone',
+      zoneName: config.name,
+      label: config.label,
+      radius_m: radius_m,
+      shape: footprint.shape
+    };
+
+    // Add to scene
+    this.group.add(circle);
     console.log(`Added ${config.name} zone circle to scene with radius ${radius_m.toFixed(1)}m`);   
   },
 
+  // Ejecta deposit as filled bands between thickness contours, dark and opaque
+  // where the blanket is thick, fading out toward the edge of significant debris
+  createEjectaBlanket(centerLat, centerLon, zones) {
+    const rim_m = zones.crater.D_final_m / 2;
+    const footprint = zones.footprints.ejecta;
+    const segments = 64;
+    const outline = (radius_m) => ImpactZones.footprintOutline(footprint, radius_m, segments, rim_m)
+      .map(({ along_m, cross_m }) => {
+        const { lat, lon } = trackPoint(centerLat, centerLon, footprint.azimuth_deg, along_m / 1000, cross_m / 1000);
+        return latLonToVector3(lat, lon, 10.015);
+      });
+
+    const bounds = [rim_m, ...zones.ejecta.contours.map(contour => contour.radius_m)];
+    const darkest = new THREE.Color(0x5C4033);  // Dark brown - thick deposit
+    const palest = new THREE.Color(0xD2B48C);   // Tan - thin dusting
+    for (let band = 0; band < bounds.length - 1; band++) {
+      const t = bounds.length > 2 ? band / (bounds.length - 2) : 0;
+      const mesh = new THREE.Mesh(
+        this.createBandGeometry(outline, bounds[band], bounds[band + 1], segments),
+        new THREE.MeshBasicMaterial({
+          color: darkest.clone().lerp(palest, t),
+          transparent: true,
+          opacity: 0.6 - 0.4 * t,
+          side: THREE.DoubleSide,
+          depthWrite: false
+        })
+      );
+      mesh.userData = {
+        type: 'impactZone',
+        zoneName: `ejecta_${zones.ejecta.contours[band].thickness_m}m`,
+        label: `Ejecta thicker than ${zones.ejecta.contours[band].thickness_m} m`,
+        radius_m: bounds[band + 1]
+      };
+      this.group.add(mesh);
+    }
+  },
+
+  // Triangles filling the ground between two outlines of a zone
+  createBandGeometry(outline, inner_m, outer_m, segments) {
+    // Split wide bands into rings so the flat triangles don't sink below the globe
+    const rings = Math.ceil((outer_m - inner_m) / BAND_RING_WIDTH_M);
+    const positions = [];
+    for (let ring = 0; ring < rings; ring++) {
+      const inner = outline(inner_m + (outer_m - inner_m) * ring / rings);
+      const outer = outline(inner_m + (outer_m - inner_m) * (ring + 1) / rings);
+      for (let i = 0; i < segments; i++) {
+        positions.push(inner[i], outer[i], outer[i + 1], inner[i], outer[i + 1], inner[i + 1]);
+      }
+    }
+    return new THREE.BufferGeometry().setFromPoints(positions);
+  },
+
+  // Meteorite strewn field: an ellipse stretched along the direction of travel,
+  // with a dot where each fragment mass class comes down
+  createStrewnField(centerLat, centerLon, azimuth, fragmentation) {
+    const { center_m, semiMajor_m, semiMinor_m } = fragmentation.strewnField;
+    // Point at a given along-track and cross-track offset from the target
+    const groundPoint = (along_m, cross_m, radius) => {
+      const { lat, lon } = trackPoint(centerLat, centerLon, azimuth, along_m / 1000, cross_m / 1000);
+      return latLonToVector3(lat, lon, radius);
+    };
+
+    const segments = 64;
+    const points = [];
+    for (let i = 0; i <= segments; i++) {
+      const t = (i / segments) * Math.PI * 2;
+      points.push(groundPoint(center_m + semiMajor_m * Math.cos(t), semiMinor_m * Math.sin(t), 10.03));
+    }
+    const outline = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints(points),
+      new THREE.LineBasicMaterial({ color: 0xDAA520, transparent: true, opacity: 0.9 })  // Goldenrod - meteorites
+    );
+    outline.userData = {
+      type: 'impactZone',
+      zoneName: 'strewn_field',
+      label: i18n.t('ui.strewn_field_label', { fragments: fragmentation.fragments.toExponential(1) }),
+      radius_m: semiMajor_m
+    };
+    this.group.add(outline);
+
+    // Both sides of the track, since fragments separate in every direction
+    const landings = fragmentation.landings.flatMap(landing => [
+      groundPoint(landing.alongTrack_m, landing.crossTrack_m, 10.035),
+      groundPoint(landing.alongTrack_m, -landing.crossTrack_m, 10.035)
+    ]);
+    const markers = new THREE.Points(
+      new THREE.BufferGeometry().setFromPoints(landings),
+      new THREE.PointsMaterial({ color: 0xDAA520, size: 0.03 })
+    );
+    markers.userData = { type: 'impactZone', zoneName: 'strewn_field_landings' };
+    this.group.add(markers);
+  },
+
+  // Height of the ground above the original surface at distance r (m) from the
+  // center of a crater, in meters: bowl or flat floor with a central peak,
+  // rim, and the ejecta thinning outside it
+  craterProfile(crater, r) {
+    const R = crater.D_final_m / 2;
+    const { depth_m: depth, rimHeight_m: rim } = crater;
+    if (r >= R) return rim * (R / r) ** 3;
+    if (crater.type === 'simple') {
+      return -depth + (depth + rim) * (r / R) ** 2;
+    }
+    const peak = crater.centralPeakDiameter_m / 2;
+    const floor = CRATER_FLOOR_FRACTION * R;
+    if (r < peak) {
+      return -depth + CRATER_PEAK_HEIGHT_FRACTION * depth * Math.cos((Math.PI / 2) * (r / peak)) ** 2;
+    }
+    if (r < floor) return -depth;
+    // Terraced walls from the floor up to the rim
+    const t = (r - floor) / (R - floor);
+    return -depth + (depth + rim) * t * t * (3 - 2 * t);
+  },
+
+  // Crater relief at true scale around the impact site, sunk into the globe:
+  // the Earth shader leaves out the surface inside the rim (see updateCraterHoles)
+  // so the bowl shows. The ejecta blanket's outer edge fades out.
+  createCraterMesh(impactPosition, crater, footprint) {
+    const { lat: centerLat, lon: centerLon } = vector3ToLatLon(impactPosition);
+    const R = crater.D_final_m / 2;
+    const extent = CRATER_MESH_EXTENT * R;
+    const unitsPerMeter = 10 / 6371000;
+    const base = 10;
+    // Oblique craters stretch along the heading but keep their area
+    const k = Math.sqrt(footprint.elongation);
+    const rings = 64;
+    const segments = 96;
+
+    const colors = {
+      floor: new THREE.Color(0x3B2A20),  // Dark melt and breccia
+      wall: new THREE.Color(0x7A5C44),
+      rim: new THREE.Color(0xB09070)     // Fresh ejecta
+    };
+    const positions = [];
+    const vertexColors = [];
+    for (let i = 0; i <= rings; i++) {
+      const r = (i / rings) * extent;
+      const height = this.craterProfile(crater, r);
+      const color = height < -0.5 * crater.depth_m
+        ? colors.floor.clone().lerp(colors.wall, (height + crater.depth_m) / (0.5 * crater.depth_m))
+        : colors.wall.clone().lerp(colors.rim, Math.min((height + 0.5 * crater.depth_m) / (0.5 * crater.depth_m + crater.rimHeight_m), 1));
+      const alpha = r <= R ? 1 : Math.max(0, 1 - (r - R) / (extent - R));
+      for (let j = 0; j < segments; j++) {
+        const theta = (j / segments) * Math.PI * 2;
+        const { lat, lon } = trackPoint(centerLat, centerLon, footprint.azimuth_deg,
+          (r * k * Math.cos(theta)) / 1000, (r * Math.sin(theta)) / k / 1000);
+        positions.push(...latLonToVector3(lat, lon, base + height * unitsPerMeter).toArray());
+        vertexColors.push(color.r, color.g, color.b, alpha);
+      }
+    }
+    const indices = [];
+    for (let i = 0; i < rings; i++) {
+      for (let j = 0; j < segments; j++) {
+        const a = i * segments + j;
+        const b = i * segments + (j + 1) % segments;
+        const c = a + segments;
+        const d = b + segments;
+        indices.push(a, c, b, b, c, d);
+      }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.Float32BufferAttribute(vertexColors, 4));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+
+    const mesh = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
+      vertexColors: true,
+      transparent: true,
+      roughness: 1,
+      metalness: 0,
+      side: THREE.DoubleSide
+    }));
+    mesh.userData = {
+      type: 'impactCrater',
+      lat: centerLat,
+      lon: centerLon,
+      craterType: crater.type,
+      diameter_m: crater.D_final_m,
+      depth_m: crater.depth_m,
+      semiAxisAlong_m: R * k,
+      semiAxisAcross_m: R / k,
+      azimuth_deg: footprint.azimuth_deg
+    };
+    this.group.add(mesh);
+    this.impactSites.push(mesh);
+
+    // The globe has room for a limited number of holes; drop the oldest crater
+    if (this.impactSites.length > MAX_CRATER_HOLES) {
+      const oldest = this.impactSites.shift();
+      this.group.remove(oldest);
+      oldest.geometry.dispose();
+      oldest.material.dispose();
+    }
+    this.updateCraterHoles();
+  },
+
+  // Hand the rim ellipses of the craters on the globe to the Earth shader. Each is
+  // given by its center on the unit sphere and its two axes, divided by the squared
+  // semi-axis so that a point's offset projects onto them as a fraction of the rim
+  updateCraterHoles() {
+    const { uCraterCount, uCraterCenters, uCraterAlong, uCraterAcross } = this.craterHoles;
+    this.impactSites.forEach((mesh, index) => {
+      const { lat, lon, semiAxisAlong_m, semiAxisAcross_m, azimuth_deg } = mesh.userData;
+      const center = uCraterCenters.value[index].copy(latLonToVector3(lat, lon, 1));
+      const axis = (vector, along_m, cross_m) => {
+        const rim = trackPoint(lat, lon, azimuth_deg, along_m / 1000, cross_m / 1000);
+        vector.copy(latLonToVector3(rim.lat, rim.lon, 1)).sub(center);
+        vector.divideScalar(vector.lengthSq());
+      };
+      axis(uCraterAlong.value[index], semiAxisAlong_m, 0);
+      axis(uCraterAcross.value[index], 0, semiAxisAcross_m);
+    });
+    uCraterCount.value = this.impactSites.length;
+  },
+
+  // Look down into the most recent crater from a few crater diameters up; only
+  // this view lets the camera come closer than CAMERA_MIN_DISTANCE
+  zoomToCrater() {
+    const crater = this.impactSites[this.impactSites.length - 1];
+    if (!crater) return;
+    const { lat, lon, diameter_m } = crater.userData;
+    const height = Math.max((3 * diameter_m * 10) / 6371000, CRATER_VIEW_MIN_DISTANCE + 0.001);
+    this.moveCameraToLocation(lat, lon, 10 + height, CRATER_VIEW_MIN_DISTANCE);
+  },
+
   // Create impact flash effect
   createImpactFlash(impactPosition, asteroidSize = 100, speed = 10) {
     // Create a bright flash at impact point, scale with asteroid size and speed
@@ -1739,174 +3160,329 @@ let app = {
 
   processAsteroidData(asteroidData) {
     console.log('Processing asteroid data...');
-    
-    // Much smaller scale factor - the coordinates are in km and are huge!
-    const scaleFactor = 0.0000002; // Very small scale factor for km coordinates
-    const earthRadius = 10; // Our Earth radius in Three.js units
-    const minOrbitRadius = earthRadius + 5; // Close to Earth surface
-    
-    // Bright neon color palette for different orbital paths
-    const colors = [
-      0x00ff00, 0xff0080, 0x00ffff, 0xffff00, 0xff4000,
-      0x8000ff, 0xff8000, 0x0080ff, 0xff00ff, 0x40ff00
-    ];
-    
-    let colorIndex = 0;
-    let pathCount = 0;
-    const maxPaths = 10; // Show more asteroids now that scaling works
-    
-    // Process real asteroid data
-    console.log(`Starting to process ${Object.keys(asteroidData).length} asteroids...`);
-    
-    for (const [asteroidName, coordinates] of Object.entries(asteroidData)) {
-      if (pathCount >= maxPaths) break;
-      
-      console.log(`\n--- Processing asteroid ${pathCount + 1}/${maxPaths}: ${asteroidName} ---`);
-      console.log(`Raw coordinates length: ${coordinates.length}`);
-      
-      // Sample fewer coordinates for debugging the scale
-      const sampledCoords = coordinates.filter((_, index) => index % 20 === 0).slice(0, 10); // Only first 10 sampled points
-      console.log(`Sampled coordinates: ${sampledCoords.length} points`);
-      
-      if (sampledCoords.length < 5) {
-        console.log(`Skipping ${asteroidName} - too few points (${sampledCoords.length} < 5)`);
-        continue;
+
+    this.asteroidCatalog = buildCatalog(asteroidData, asterooidSizeandSpeedData);
+    console.log(`Catalog holds ${this.asteroidCatalog.length} of ${Object.keys(asteroidData).length} asteroids with closed orbits`);
+
+    this.asteroidCatalog.slice(0, INITIAL_CATALOG_PATHS).forEach(entry => this.showCatalogAsteroid(entry));
+    this.buildAsteroidSwarm();
+  },
+
+  // (Re)create the instanced view of the whole catalog
+  buildAsteroidSwarm() {
+    if (this.asteroidSwarm) {
+      this.orbitGroup.remove(this.asteroidSwarm.object);
+      this.asteroidSwarm.dispose();
+    }
+    this.asteroidSwarm = createAsteroidSwarm(this.asteroidCatalog, {
+      scale: ORBIT_SCENE_SCALE,
+      minRadius: ORBIT_MIN_RADIUS
+    });
+    this.asteroidSwarm.object.visible = params.showAsteroidSwarm;
+    this.asteroidSwarm.setOrbitsVisible(params.showSwarmOrbits);
+    // Objects already shown in detail are not drawn twice
+    this.asteroidCatalog.forEach((entry, index) => {
+      if (entry.sceneObjects) this.asteroidSwarm.setEntryVisible(index, false);
+    });
+    this.asteroidSwarm.update(this.simulationClock.date);
+    this.orbitGroup.add(this.asteroidSwarm.object);
+  },
+
+  // Add the objects of a population file (backend/neo_population.py) to the catalog
+  async importAsteroidPopulation(file) {
+    const entries = parsePopulation(JSON.parse(await file.text()));
+    const known = new Set(this.asteroidCatalog.map(entry => entry.name));
+    const added = entries.filter(entry => !known.has(entry.name));
+    this.asteroidCatalog.push(...added);
+    console.log(`Imported ${added.length} of ${entries.length} asteroids; catalog now holds ${this.asteroidCatalog.length}`);
+
+    this.buildAsteroidSwarm();
+    this.renderCatalog();
+  },
+
+  // Catalog entry of an instanced body under the pointer, given a raycaster set from the camera
+  pickSwarmAsteroid() {
+    if (!this.asteroidSwarm || !params.showAsteroidSwarm) return null;
+    const index = this.asteroidSwarm.pick(raycaster, this.simulationClock.date);
+    return index >= 0 ? this.asteroidSwarm.entries[index] : null;
+  },
+
+  // Show an instanced body in detail so it can be selected like the others
+  promoteSwarmAsteroid(entry) {
+    this.showCatalogAsteroid(entry);
+    if (document.getElementById('catalog-window').style.display !== 'none') {
+      this.renderCatalog();
+    }
+    return entry.sceneObjects[1];
+  },
+
+  // Create the orbit tube and moving body of a catalog entry
+  showCatalogAsteroid(entry) {
+    if (entry.sceneObjects) return;
+
+    const { name, elements } = entry;
+    const color = ORBIT_COLORS[this.asteroidCatalog.indexOf(entry) % ORBIT_COLORS.length];
+    console.log(`Orbital elements for ${name}: a=${(elements.a_km / AU_KM).toFixed(3)} AU, e=${elements.e.toFixed(3)}, i=${elements.i_deg.toFixed(2)}°, Ω=${elements.raan_deg.toFixed(1)}°, ω=${elements.argp_deg.toFixed(1)}°`);
+
+    // Orbit tube through one full revolution of the true conic
+    const pathPoints = sampleOrbit(elements, 200).map(point => this.orbitToScene(point));
+    const orbitCurve = new THREE.CatmullRomCurve3(pathPoints, true, 'catmullrom', 0);
+    const tubeGeometry = new THREE.TubeGeometry(orbitCurve, 200, 0.5, 16, true);
+    const tubeMaterial = new THREE.MeshBasicMaterial({
+      color: color,
+      transparent: true,
+      opacity: 0.7
+    });
+    const orbitTube = new THREE.Mesh(tubeGeometry, tubeMaterial);
+
+    // Add userData to the tube
+    orbitTube.userData = {
+      asteroidName: name,
+      originalPoints: pathPoints,
+      elements: elements
+    };
+
+    this.orbitGroup.add(orbitTube);
+    this.orbitalPaths.push(orbitTube);
+
+    // Create a larger moving asteroid propagated along the same elements
+    const asteroid = this.createOrbitingAsteroid(elements, color, name);
+    const { glowSphere, outerGlowSphere, labelSprite } = asteroid.userData;
+    entry.sceneObjects = [orbitTube, asteroid, glowSphere, outerGlowSphere, labelSprite];
+    entry.sceneObjects.forEach(object => {
+      object.visible = params.showOrbitalPaths;
+    });
+    this.setSwarmEntryVisible(entry, false);
+  },
+
+  // Hide or restore an entry's instanced body while it is shown in detail
+  setSwarmEntryVisible(entry, visible) {
+    const index = this.asteroidSwarm ? this.asteroidSwarm.entries.indexOf(entry) : -1;
+    if (index >= 0) this.asteroidSwarm.setEntryVisible(index, visible);
+  },
+
+  // Remove a catalog entry's orbit and body from the scene
+  hideCatalogAsteroid(entry) {
+    if (!entry.sceneObjects) return;
+
+    if (this.selectedAsteroid && this.selectedAsteroid.userData.name === entry.name) {
+      this.selectedAsteroid = null;
+      this.clearSelectedAsteroidInfo();
+    }
+
+    entry.sceneObjects.forEach(object => {
+      this.orbitGroup.remove(object);
+      if (object.geometry) object.geometry.dispose();
+      if (object.material) {
+        if (object.material.map) object.material.map.dispose();
+        object.material.dispose();
       }
-      
-      // Convert coordinates and scale them
-      const pathPoints = sampledCoords.map((coord, index) => {
-        if (!Array.isArray(coord) || coord.length < 3) {
-          console.warn(`Invalid coordinate at index ${index}:`, coord);
-          return null;
-        }
-        
-        const [x, y, z] = coord;
-        
-        // Scale down the coordinates
-        let scaledX = x * scaleFactor;
-        let scaledY = y * scaleFactor;
-        let scaledZ = z * scaleFactor;
-        
-        console.log(`Raw coords: (${x.toFixed(0)}, ${y.toFixed(0)}, ${z.toFixed(0)}) -> Scaled: (${scaledX.toFixed(2)}, ${scaledY.toFixed(2)}, ${scaledZ.toFixed(2)})`);
-        
-        // Calculate distance from origin and ensure minimum distance
-        const distance = Math.sqrt(scaledX * scaledX + scaledY * scaledY + scaledZ * scaledZ);
-        if (distance < minOrbitRadius) {
-          const ratio = minOrbitRadius / distance;
-          scaledX *= ratio;
-          scaledY *= ratio;
-          scaledZ *= ratio;
-          console.log(`Adjusted to minimum distance: (${scaledX.toFixed(2)}, ${scaledY.toFixed(2)}, ${scaledZ.toFixed(2)})`);
-        }
-        
-        return new THREE.Vector3(scaledX, scaledY, scaledZ);
-      }).filter(point => point !== null);
-      
-      console.log(`Created ${pathPoints.length} valid path points for ${asteroidName}`);
-      console.log(`Sample points:`, pathPoints.slice(0, 3).map(p => `(${p.x.toFixed(1)}, ${p.y.toFixed(1)}, ${p.z.toFixed(1)})`));
-      console.log(`Distance from origin (first point): ${pathPoints[0].length().toFixed(1)} units`);
-      
-      // Create truly smooth orbital paths by fitting elliptical curves to the data
-      console.log('Creating smooth elliptical orbital path...');
-      
-      // Analyze the asteroid coordinates to find orbital parameters
-      const centerX = pathPoints.reduce((sum, p) => sum + p.x, 0) / pathPoints.length;
-      const centerY = pathPoints.reduce((sum, p) => sum + p.y, 0) / pathPoints.length;
-      const centerZ = pathPoints.reduce((sum, p) => sum + p.z, 0) / pathPoints.length;
-      const center = new THREE.Vector3(centerX, centerY, centerZ);
-      
-      // Find the average distance to determine orbit size
-      const distances = pathPoints.map(p => p.distanceTo(center));
-      const avgDistance = distances.reduce((sum, d) => sum + d, 0) / distances.length;
-      const maxDistance = Math.max(...distances);
-      const minDistance = Math.min(...distances);
-      
-      // Create a smooth elliptical orbit based on the data
-      const semiMajorAxis = (maxDistance + minDistance) / 2;
-      const semiMinorAxis = semiMajorAxis * 0.8; // Slightly elliptical
-      
-      // Find the orbital plane orientation by analyzing the data spread
-      const firstPoint = pathPoints[0].clone().sub(center).normalize();
-      const midPoint = pathPoints[Math.floor(pathPoints.length / 2)].clone().sub(center).normalize();
-      const normal = firstPoint.clone().cross(midPoint).normalize();
-      const tangent = firstPoint.clone();
-      const bitangent = normal.clone().cross(tangent).normalize();
-      
-      // Generate perfectly smooth elliptical points
-      const numSmoothPoints = 200; // Many points for perfect smoothness
-      const interpolatedPoints = [];
-      
-      for (let i = 0; i < numSmoothPoints; i++) {
-        const angle = (i / numSmoothPoints) * Math.PI * 2;
-        
-        // Create elliptical coordinates
-        const x = Math.cos(angle) * semiMajorAxis;
-        const y = Math.sin(angle) * semiMinorAxis;
-        
-        // Transform to 3D orbital plane
-        const point = center.clone()
-          .add(tangent.clone().multiplyScalar(x))
-          .add(bitangent.clone().multiplyScalar(y))
-          .add(normal.clone().multiplyScalar(Math.sin(angle * 2) * semiMajorAxis * 0.1)); // Small vertical variation
-        
-        interpolatedPoints.push(point);
+    });
+    this.orbitalPaths = this.orbitalPaths.filter(object => !entry.sceneObjects.includes(object));
+    this.orbitingAsteroids = this.orbitingAsteroids.filter(object => !entry.sceneObjects.includes(object));
+    entry.sceneObjects = null;
+    this.setSwarmEntryVisible(entry, true);
+  },
+
+  // Turn the selected asteroid's next encounter into a hypothetical impact: the
+  // launch panel gets the entry speed, a 45° entry and the matching point on the
+  // risk corridor, and the clock jumps to the encounter so the globe faces it
+  impactSelectedAsteroid() {
+    const asteroid = this.selectedAsteroid
+    if (!asteroid || !asteroid.userData.elements) {
+      alert(i18n.t('ui.select_orbiting_asteroid'))
+      return
+    }
+    if (!this.requireOrbitalPhase(asteroid)) {
+      this.clearRiskCorridor()
+      Object.keys(this.impactGeometryInfo).forEach(key => { this.impactGeometryInfo[key] = '-' })
+      return
+    }
+
+    const encounter = nextCloseApproach(asteroid.userData.elements, this.simulationClock.date)
+    if (!encounter) {
+      this.impactGeometryInfo.encounter = 'None in 10 years'
+      return
+    }
+
+    const geometry = encounterGeometry(asteroid.userData.elements, encounter.date_ms)
+    const entry = corridorPointAtAngle(geometry, 45)
+
+    this.impactGeometryInfo.encounter = new Date(encounter.date_ms).toISOString().slice(0, 10)
+    this.impactGeometryInfo.vInfinity = geometry.vInfinity_km_s.toFixed(2)
+    this.impactGeometryInfo.entrySpeed = geometry.entrySpeed_km_s.toFixed(2)
+    this.impactGeometryInfo.entryAngle = entry.angle_deg.toFixed(0)
+    this.impactGeometryInfo.azimuth = entry.azimuth_deg.toFixed(0)
+
+    const panelValues = {
+      'target-lat': entry.lat.toFixed(4),
+      'target-lon': entry.lon.toFixed(4),
+      'asteroid-speed': Math.min(Math.max(Math.round(geometry.entrySpeed_km_s * 1000), 1000), 100000),
+      'impact-angle': Math.round(entry.angle_deg),
+      'impact-azimuth': Math.round(entry.azimuth_deg) % 360
+    }
+    Object.entries(panelValues).forEach(([id, value]) => {
+      const input = document.getElementById(id)
+      if (input) {
+        input.value = value
+        input.dispatchEvent(new Event('input', { bubbles: true }))
       }
-      
-      console.log(`Created ${interpolatedPoints.length} perfectly smooth elliptical orbit points`);
-      
-      // Use the interpolated points for creating the orbital path
-      const finalPathPoints = interpolatedPoints;
-      
-      // Create the orbital path geometry using visible mesh tubes instead of lines
-      const pathGeometry = new THREE.BufferGeometry().setFromPoints(pathPoints);
-      
-      console.log(`Creating orbital path with color: 0x${colors[colorIndex % colors.length].toString(16)}`);
-      
-      // Create tube geometry using the perfectly smooth elliptical curve
-      const smoothCurve = new THREE.CatmullRomCurve3(finalPathPoints, true, 'catmullrom', 0);
-      const tubeGeometry = new THREE.TubeGeometry(smoothCurve, 100, 0.5, 16, true); // High resolution
-      const tubeMaterial = new THREE.MeshBasicMaterial({
-        color: colors[colorIndex % colors.length],
-        transparent: true,
-        opacity: 0.7
-      });
-      const orbitTube = new THREE.Mesh(tubeGeometry, tubeMaterial);
-      
-      // Create bright spheres at evenly distributed points  
-      const spheres = [];
-      finalPathPoints.forEach((point, index) => {
-        if (index % 25 === 0) { // Evenly spaced markers
-          const sphereGeometry = new THREE.SphereGeometry(0.4, 8, 8);
-          const sphereMaterial = new THREE.MeshBasicMaterial({
-            color: colors[colorIndex % colors.length],
-            transparent: true,
-            opacity: 0.8
-          });
-          const sphere = new THREE.Mesh(sphereGeometry, sphereMaterial);
-          sphere.position.copy(point);
-          spheres.push(sphere);
-        }
-      });
-      
-      // Add userData to the tube
-      orbitTube.userData = {
-        asteroidName: asteroidName,
-        originalPoints: finalPathPoints, // Use interpolated points
-        currentIndex: 0,
-        speed: 0.2 + Math.random() * 0.3
-      };
-    
-      
-      this.group.add(orbitTube);
-      this.orbitalPaths.push(orbitTube);
-      
-      // Create a larger moving asteroid on this orbit using interpolated points
-      this.createOrbitingAsteroid(finalPathPoints, colors[colorIndex % colors.length], asteroidName);
-      
-      colorIndex++;
-      pathCount++;
+    })
+    params.asteroidSpeed = geometry.entrySpeed_km_s
+
+    this.simulationClock.reset(encounter.date_ms)
+    this.updateEarthOrientation()
+    this.updateSimulationTimeDisplay()
+    if (window.gui) window.gui.updateDisplay()
+
+    this.drawRiskCorridor(geometry, entry)
+    this.goToLocation(entry.lat, entry.lon)
+  },
+
+  // Draw the line of possible impact points on the globe, with the radiant and the chosen entry point
+  drawRiskCorridor(geometry, entry) {
+    this.clearRiskCorridor()
+    this.riskCorridorGroup = new THREE.Group()
+
+    const points = riskCorridor(geometry).map(point => latLonToVector3(point.lat, point.lon, 10.03))
+    this.riskCorridorGroup.add(new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints(points),
+      new THREE.LineBasicMaterial({ color: 0xffaa00 })
+    ))
+
+    const markers = [
+      // Head-on entry point, straight below the radiant
+      { lat: geometry.radiant.lat, lon: geometry.radiant.lon, color: 0xffff66 },
+      { lat: entry.lat, lon: entry.lon, color: 0xff3333 }
+    ]
+    markers.forEach(({ lat, lon, color }) => {
+      const marker = new THREE.Mesh(
+        new THREE.SphereGeometry(0.08, 12, 12),
+        new THREE.MeshBasicMaterial({ color })
+      )
+      marker.position.copy(latLonToVector3(lat, lon, 10.03))
+      this.riskCorridorGroup.add(marker)
+    })
+
+    // Earth-fixed, so the corridor turns with the globe
+    this.group.add(this.riskCorridorGroup)
+  },
+
+  clearRiskCorridor() {
+    if (!this.riskCorridorGroup) return
+    this.riskCorridorGroup.traverse(child => {
+      if (child.geometry) child.geometry.dispose()
+      if (child.material) child.material.dispose()
+    })
+    this.group.remove(this.riskCorridorGroup)
+    this.riskCorridorGroup = null
+  },
+
+  // Encounter predictions need the body's position along its orbit, which a
+  // data file without SBDB elements does not give (see hasOrbitalPhase)
+  requireOrbitalPhase(asteroid) {
+    if (hasOrbitalPhase(asteroid.userData.elements)) return true
+    alert(i18n.t('ui.orbit_phase_unknown', { name: asteroid.userData.name }))
+    return false
+  },
+
+  // Plan a kinetic-impactor deflection for the selected asteroid against its next close approach
+  planSelectedDeflection() {
+    const asteroid = this.selectedAsteroid
+    if (!asteroid || !asteroid.userData.elements) {
+      alert(i18n.t('ui.select_orbiting_asteroid'))
+      return
     }
-    
+    if (!this.requireOrbitalPhase(asteroid)) {
+      this.clearDeflection()
+      Object.keys(this.deflectionInfo).forEach(key => { this.deflectionInfo[key] = '-' })
+      return
+    }
+
+    const name = asteroid.userData.name
+    const catalogEntry = this.asteroidCatalog.find(entry => entry.name === name)
+    const diameter_m = catalogEntry && catalogEntry.diameter_m !== null ? catalogEntry.diameter_m : params.asteroidSize
+    // The launch panel density stands in for the unknown bulk density
+    const density = this.readLaunchPanel().density || 3100
+
+    const plan = planDeflection(asteroid.userData.elements, { diameter_m, density }, {
+      spacecraftMass_kg: params.spacecraftMass,
+      relativeVelocity_m_s: params.impactorVelocity * 1000,
+      beta: params.beta,
+      leadTime_days: params.leadTimeDays
+    }, this.simulationClock.date)
+
+    this.clearDeflection()
+    if (!plan) {
+      this.deflectionInfo.closeApproach = 'None in 10 years'
+      return
+    }
+
+    const formatMiss = (km) => `${Math.round(km).toLocaleString()} km (${(km / EARTH_RADIUS_KM).toFixed(2)} R⊕)`
+    this.deflectionInfo.closeApproach = new Date(plan.closeApproach.date_ms).toISOString().slice(0, 10)
+    this.deflectionInfo.originalMiss = formatMiss(plan.closeApproach.distance_km)
+    this.deflectionInfo.deflectedMiss = formatMiss(plan.deflectedApproach.distance_km)
+    this.deflectionInfo.deltaV = (plan.deltaV_m_s * 1000).toFixed(3)
+
+    console.log(`Deflection of ${name}: impact ${new Date(plan.impactDate_ms).toISOString()} (${plan.leadTime_days.toFixed(0)} days ahead), ` +
+      `mass ${plan.asteroidMass_kg.toExponential(2)} kg, miss ${plan.closeApproach.distance_km.toFixed(0)} km -> ${plan.deflectedApproach.distance_km.toFixed(0)} km`)
+
+    this.drawDeflection(asteroid.userData.elements, plan)
+  },
+
+  // Draw the original and deflected encounter paths around the Earth
+  drawDeflection(elements, plan) {
+    // True scale when the encounter is within ~20 Earth radii, otherwise
+    // shrink it so the larger miss distance sits 40 units from the Earth
+    const maxMiss = Math.max(plan.closeApproach.distance_km, plan.deflectedApproach.distance_km)
+    const unitsPerKm = maxMiss < 20 * EARTH_RADIUS_KM ? 10 / EARTH_RADIUS_KM : 40 / maxMiss
+
+    this.deflectionGroup = new THREE.Group()
+    const paths = [
+      { elements, approach: plan.closeApproach, color: 0xff3333 },
+      { elements: plan.deflectedElements, approach: plan.deflectedApproach, color: 0x33ff66 }
+    ]
+    paths.forEach(({ elements, approach, color }) => {
+      // An odd point count puts the closest approach exactly in the middle
+      const points = geocentricPath(elements, approach.date_ms, 1, 201).map(point => {
+        const scene = eclipticToScene(point, unitsPerKm)
+        return new THREE.Vector3(scene.x, scene.y, scene.z)
+      })
+      const line = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(points),
+        new THREE.LineBasicMaterial({ color })
+      )
+      this.deflectionGroup.add(line)
+
+      // Mark the closest point of each pass
+      const marker = new THREE.Mesh(
+        new THREE.SphereGeometry(0.3, 12, 12),
+        new THREE.MeshBasicMaterial({ color })
+      )
+      marker.position.copy(points[100])
+      this.deflectionGroup.add(marker)
+    })
+    this.orbitGroup.add(this.deflectionGroup)
+  },
+
+  clearDeflection() {
+    if (!this.deflectionGroup) return
+    this.deflectionGroup.traverse(child => {
+      if (child.geometry) child.geometry.dispose()
+      if (child.material) child.material.dispose()
+    })
+    this.orbitGroup.remove(this.deflectionGroup)
+    this.deflectionGroup = null
+  },
+
+  // Convert a heliocentric ecliptic position in km to a scene position
+  orbitToScene(position) {
+    const point = eclipticToScene(position, ORBIT_SCENE_SCALE);
+    const vector = new THREE.Vector3(point.x, point.y, point.z);
+    if (vector.length() < ORBIT_MIN_RADIUS) {
+      vector.setLength(ORBIT_MIN_RADIUS);
+    }
+    return vector;
   },
 
   generateRealisticAsteroidColor() {
@@ -1957,12 +3533,13 @@ let app = {
         // Impact! Remove asteroid and create crater
         this.group.remove(asteroid)
         this.asteroids.splice(i, 1)
-        this.createImpactCrater(userData.targetPosition, userData.realSizeMeters, params.asteroidSpeed)
+        this.createImpactCrater(userData.targetPosition, userData.realSizeMeters, userData.speedKmPerSec, userData.density, userData.angle, userData.azimuth, userData.material)
       }
     }
   },
 
-  createImpactZoneVisualization(centerLat, centerLon, zones) {
+  // Ring name, radius, color and label of every zone drawn for an impact
+  impactZoneConfigs(zones) {
     // Zone configurations with colors and transparency
     const zoneConfigs = [
       {
@@ -1970,24 +3547,78 @@ let app = {
         radius_m: zones.crater.D_final_m / 2,
         color: 0x8B0000,  // Dark red - 100% mortality
         opacity: 1.0,
-        label: 'Crater (100% mortality)'
+        label: 'Crater (100% mortality)',
+        footprint: zones.footprints.crater
       },
       {
         name: 'fireball',
         radius_m: zones.fireball50_m,
         color: 0xFF4500,  // Orange-red - thermal radiation
         opacity: 1.0,
-        label: 'Fireball (50% mortality)'
+        label: zones.event === 'airburst' ? 'Airburst fireball (50% mortality)' : 'Fireball (50% mortality)',
+        footprint: zones.footprints.thermal
       },
-      {
-        name: 'seismic',
-        radius_m: zones.seismicDamage_m,
-        color: 0x32CD32,  // Lime green - seismic/earthquake
+      ...zones.thermalZones.map(zone => ({
+        name: `thermal_${zone.level}`,
+        radius_m: zone.radius_m,
+        color: THERMAL_ZONE_STYLES[zone.level].color,  // Orange shades - thermal radiation
         opacity: 1.0,
-        label: 'Seismic Damage'
-      }
+        label: THERMAL_ZONE_STYLES[zone.level].label,
+        footprint: zones.footprints.thermal
+      })),
+      // The MMI IX ring sits at the Meff 7.0 seismic damage radius, so it stands in for it
+      ...zones.seismicIntensityZones.map(zone => ({
+        name: `seismic_${zone.level}`,
+        radius_m: zone.radius_m,
+        color: MMI_ZONE_STYLES[zone.level].color,  // Green shades - seismic/earthquake
+        opacity: 1.0,
+        label: MMI_ZONE_STYLES[zone.level].label,
+        footprint: zones.footprints.seismic
+      })),
+      ...zones.overpressureZones.map(zone => ({
+        name: `overpressure_${zone.level}`,
+        radius_m: zone.radius_m,
+        color: BLAST_ZONE_STYLES[zone.level].color,  // Pink shades - shockwave
+        opacity: 1.0,
+        label: BLAST_ZONE_STYLES[zone.level].label,
+        footprint: zones.footprints.blast
+      })),
+      ...zones.windZones.map(zone => ({
+        name: `wind_${zone.level}`,
+        radius_m: zone.radius_m,
+        color: BLAST_ZONE_STYLES[zone.level].color,  // Purple shades - wind blast
+        opacity: 1.0,
+        label: BLAST_ZONE_STYLES[zone.level].label,
+        footprint: zones.footprints.blast
+      }))
     ];
 
+    if (zones.tsunami) {
+      zoneConfigs.push({
+        name: 'tsunami_cavity',
+        radius_m: zones.tsunami.cavityDiameter_m / 2,
+        color: 0x00BFFF,  // Deep sky blue - water cavity
+        opacity: 1.0,
+        label: 'Water cavity'
+      });
+      // Arrival-time contours fade as the wave spreads
+      zones.tsunami.arrivalContours.forEach((contour, index) => {
+        zoneConfigs.push({
+          name: `tsunami_${contour.t_s}s`,
+          radius_m: contour.radius_m,
+          color: 0x1E90FF,  // Dodger blue - tsunami front
+          opacity: Math.max(0.3, 1.0 - index * 0.1),
+          label: `Tsunami arrival +${(contour.t_s / 3600).toFixed(2)} h (${contour.amplitude_m.toFixed(1)} m)`
+        });
+      });
+    }
+
+    return zoneConfigs;
+  },
+
+  createImpactZoneVisualization(centerLat, centerLon, zones) {
+    const zoneConfigs = this.impactZoneConfigs(zones);
+
     // Sort zones by radius (largest first) so they render properly
     zoneConfigs.sort((a, b) => (b.radius_m || 0) - (a.radius_m || 0));
 
@@ -2055,7 +3686,7 @@ let app = {
   },
 
 
-  createOrbitingAsteroid(pathPoints, color, name) {
+  createOrbitingAsteroid(elements, color, name) {
     // Create a realistic asteroid
     const asteroidGeometry = new THREE.IcosahedronGeometry(0.4, 1); // Smaller, more realistic size
     
@@ -2104,22 +3735,9 @@ let app = {
     
     // Create text label for asteroid name
     const canvas = document.createElement('canvas');
-    const context = canvas.getContext('2d');
     canvas.width = 512;
     canvas.height = 128;
-    
-    // Set up text styling
-    context.fillStyle = 'rgba(0, 0, 0, 0.8)';
-    context.fillRect(0, 0, canvas.width, canvas.height);
-    
-    context.fillStyle = '#ffffff';
-    context.font = 'bold 36px Arial';
-    context.textAlign = 'center';
-    context.textBaseline = 'middle';
-    
-    // Draw the asteroid name
-    const displayName = name.length > 20 ? name.substring(0, 17) + '...' : name;
-    context.fillText(displayName, canvas.width / 2, canvas.height / 2);
+    this.drawAsteroidLabel(canvas, name);
     
     // Create texture from canvas
     const labelTexture = new THREE.CanvasTexture(canvas);
@@ -2139,9 +3757,7 @@ let app = {
     const originalOpacity = 0.7
     
     orbitingAsteroid.userData = {
-      pathPoints: pathPoints,
-      currentIndex: 0,
-      speed: 0.005 + Math.random() * 0.01, // Much much slower movement
+      elements: elements,
       name: name,
       rotationSpeed: {
         x: (Math.random() - 0.5) * 0.001, // Much slower rotation
@@ -2162,85 +3778,66 @@ let app = {
     labelSprite.userData = orbitingAsteroid.userData
     
     // Set initial positions for all elements
-    if (pathPoints.length > 0) {
-      orbitingAsteroid.position.copy(pathPoints[0]);
-      glowSphere.position.copy(pathPoints[0]);
-      outerGlowSphere.position.copy(pathPoints[0]);
-      
-      // Position label above the asteroid
-      const labelPosition = pathPoints[0].clone();
-      labelPosition.add(new THREE.Vector3(0, 0, 4)); // Offset above asteroid
-      labelSprite.position.copy(labelPosition);
-      
-      console.log(`Created orbiting asteroid for ${name} at position:`, pathPoints[0]);
-    }
-    
-    this.group.add(orbitingAsteroid);
-    this.group.add(glowSphere);
-    this.group.add(outerGlowSphere);
-    this.group.add(labelSprite);
+    const initialPosition = this.orbitingBodyPosition(elements);
+    orbitingAsteroid.position.copy(initialPosition);
+    glowSphere.position.copy(initialPosition);
+    outerGlowSphere.position.copy(initialPosition);
+    
+    // Position label above the asteroid
+    const labelPosition = initialPosition.clone();
+    labelPosition.add(new THREE.Vector3(0, 0, 4)); // Offset above asteroid
+    labelSprite.position.copy(labelPosition);
+    
+    console.log(`Created orbiting asteroid for ${name} at position:`, initialPosition);
+    
+    this.orbitGroup.add(orbitingAsteroid);
+    this.orbitGroup.add(glowSphere);
+    this.orbitGroup.add(outerGlowSphere);
+    this.orbitGroup.add(labelSprite);
     this.orbitalPaths.push(orbitingAsteroid);
+    this.orbitingAsteroids.push(orbitingAsteroid);
     this.orbitalPaths.push(glowSphere);
     this.orbitalPaths.push(outerGlowSphere);
     this.orbitalPaths.push(labelSprite);
+
+    return orbitingAsteroid;
+  },
+
+  // Scene position of an orbiting body at the simulation date; an orbit known
+  // only by its shape moves from an assumed phase (see displayElements)
+  orbitingBodyPosition(elements) {
+    return this.orbitToScene(propagate(displayElements(elements), this.simulationClock.date));
   },
 
   updateOrbitalPaths() {
-    this.orbitalPaths.forEach(pathObject => {
-      // Check if the object and its userData exist
-      if (!pathObject || !pathObject.userData) {
-        return; // Skip this object if it doesn't have userData
+    if (this.asteroidSwarm) {
+      this.asteroidSwarm.update(this.simulationClock.date);
+    }
+
+    this.orbitingAsteroids.forEach(asteroid => {
+      const userData = asteroid.userData;
+      asteroid.position.copy(this.orbitingBodyPosition(userData.elements));
+      
+      // Also move the glow spheres if they exist
+      if (userData.glowSphere) {
+        userData.glowSphere.position.copy(asteroid.position);
+      }
+      if (userData.outerGlowSphere) {
+        userData.outerGlowSphere.position.copy(asteroid.position);
       }
       
-      // Only update objects that have path movement (asteroids, not lines)
-      if (pathObject.userData.pathPoints) {
-        const userData = pathObject.userData;
-        const pathPoints = userData.pathPoints;
-        
-        if (pathPoints && pathPoints.length > 1) {
-          // Update position along path
-          userData.currentIndex += userData.speed;
-          
-          // Wrap around when reaching end of path
-          if (userData.currentIndex >= pathPoints.length) {
-            userData.currentIndex = 0;
-          }
-          
-          // Interpolate between path points for smooth movement
-          const currentIdx = Math.floor(userData.currentIndex) % pathPoints.length;
-          const nextIdx = (currentIdx + 1) % pathPoints.length;
-          const t = userData.currentIndex - Math.floor(userData.currentIndex);
-          
-          const currentPoint = pathPoints[currentIdx];
-          const nextPoint = pathPoints[nextIdx];
-          
-          // Check if both points exist before trying to interpolate
-          if (currentPoint && nextPoint) {
-            pathObject.position.lerpVectors(currentPoint, nextPoint, t);
-            
-            // Also move the glow spheres if they exist
-            if (userData.glowSphere) {
-              userData.glowSphere.position.copy(pathObject.position);
-            }
-            if (userData.outerGlowSphere) {
-              userData.outerGlowSphere.position.copy(pathObject.position);
-            }
-            
-            // Move the label sprite and keep it above the asteroid
-            if (userData.labelSprite) {
-              const labelPosition = pathObject.position.clone();
-              labelPosition.add(new THREE.Vector3(0, 0, 4)); // Keep label above asteroid
-              userData.labelSprite.position.copy(labelPosition);
-            }
-          }
-          
-          // Rotate the asteroid if it has rotation speed
-          if (userData.rotationSpeed) {
-            pathObject.rotation.x += userData.rotationSpeed.x;
-            pathObject.rotation.y += userData.rotationSpeed.y;
-            pathObject.rotation.z += userData.rotationSpeed.z;
-          }
-        }
+      // Move the label sprite and keep it above the asteroid
+      if (userData.labelSprite) {
+        const labelPosition = asteroid.position.clone();
+        labelPosition.add(new THREE.Vector3(0, 0, 4)); // Keep label above asteroid
+        userData.labelSprite.position.copy(labelPosition);
+      }
+      
+      // Rotate the asteroid if it has rotation speed
+      if (userData.rotationSpeed) {
+        asteroid.rotation.x += userData.rotationSpeed.x;
+        asteroid.rotation.y += userData.rotationSpeed.y;
+        asteroid.rotation.z += userData.rotationSpeed.z;
       }
     });
   }
@@ -2310,6 +3907,116 @@ window.setCoordinates = function(lat, lon) {
   window.appInstance.goToLocation(lat, lon)
 }
 
+// Simulation clock controls
+window.toggleSimulationPlayback = function() {
+  window.appInstance.simulationClock.togglePlay()
+}
+
+window.reverseSimulation = function() {
+  window.appInstance.simulationClock.reverse()
+}
+
+window.setSimulationRate = function(rate) {
+  params.simulationRate = parseFloat(rate)
+  window.appInstance.simulationClock.setRate(params.simulationRate)
+}
+
+// @param {number} days - offset from the clock's anchor date
+window.scrubSimulationTime = function(days) {
+  const clock = window.appInstance.simulationClock
+  clock.setDate(clock.anchorDate + parseFloat(days) * 86400000)
+}
+
+window.resetSimulationTime = function() {
+  window.appInstance.simulationClock.reset()
+}
+
+// Scenario save/load
+window.saveScenario = function() {
+  const app = window.appInstance
+  const scenario = app.captureScenario()
+  const stamp = scenario.simulation.date.slice(0, 16).replace(/[:T]/g, '-')
+  downloadScenario(scenario, `asteroid-scenario-${stamp}.json`)
+}
+
+// @param {File} file - scenario chosen in the file picker
+window.loadScenario = async function(file) {
+  if (!file) return
+  try {
+    window.appInstance.applyScenario(await readScenarioFile(file))
+  } catch (error) {
+    console.warn('Failed to load scenario:', error)
+    alert(i18n.t('ui.scenario_invalid', { error: error.message }))
+  }
+}
+
+window.copyScenarioLink = async function() {
+  const link = window.appInstance.getPermalink(true)
+  try {
+    await navigator.clipboard.writeText(link)
+    alert(i18n.t('ui.scenario_link_copied'))
+  } catch (error) {
+    // Clipboard access can be blocked; let the user copy it by hand
+    prompt(i18n.t('ui.scenario_share'), link)
+  }
+}
+
+window.replayScenario = function() {
+  const app = window.appInstance
+  app.replayScenario(app.lastScenario || app.captureScenario())
+}
+
+window.toggleAsteroidCatalog = function() {
+  const catalogWindow = document.getElementById('catalog-window')
+  if (catalogWindow.style.display === 'none') {
+    window.appInstance.renderCatalog()
+    catalogWindow.style.display = 'flex'
+  } else {
+    catalogWindow.style.display = 'none'
+  }
+}
+
+// @param {File} file - population file chosen in the catalog panel
+window.importAsteroidPopulation = async function(file) {
+  if (!file) return
+  try {
+    await window.appInstance.importAsteroidPopulation(file)
+  } catch (error) {
+    console.warn('Failed to import asteroid population:', error)
+    alert(i18n.t('ui.catalog_import_failed', { error: error.message }))
+  }
+}
+
+window.showEffectsTimeline = function(lat, lon) {
+  window.appInstance.showEffectsTimeline(lat, lon)
+}
+
+window.playEffectsTimeline = function() {
+  window.appInstance.playEffectsTimeline()
+}
+
+window.closeEffectsTimeline = function() {
+  window.appInstance.stopEffectsTimeline()
+  document.getElementById('timeline-window').style.display = 'none'
+}
+
+window.runUncertainty = function() {
+  window.appInstance.runUncertainty()
+}
+
+window.closeUncertainty = function() {
+  window.appInstance.clearUncertainty()
+  document.getElementById('uncertainty-window').style.display = 'none'
+}
+
+window.zoomToCrater = function() {
+  window.appInstance.zoomToCrater()
+}
+
+window.findCloseApproaches = function() {
+  window.appInstance.findCloseApproaches()
+}
+
 window.goToMyCurrentLocation = function() {
   window.appInstance.goToMyLocation()
 }
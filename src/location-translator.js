@@ -136,12 +136,42 @@ export const COUNTRY_NAME_MAPPINGS = {
   // Add more as needed...
 };
 
-// Convert country name to translation key
+// ISO 3166-1 alpha-2 codes, as returned by the offline reverse geocoder
+export const COUNTRY_CODE_MAPPINGS = {
+  AE: 'united_arab_emirates', AF: 'afghanistan', AO: 'angola', AR: 'argentina',
+  AT: 'austria', AU: 'australia', BD: 'bangladesh', BE: 'belgium',
+  BF: 'burkina_faso', BG: 'bulgaria', BR: 'brazil', BW: 'botswana',
+  BY: 'belarus', CA: 'canada', CD: 'democratic_republic_of_the_congo', CF: 'central_african_republic',
+  CH: 'switzerland', CI: 'ivory_coast', CL: 'chile', CM: 'cameroon',
+  CN: 'china', CO: 'colombia', CZ: 'czech_republic', DE: 'germany',
+  DK: 'denmark', DZ: 'algeria', EE: 'estonia', EG: 'egypt',
+  ES: 'spain', ET: 'ethiopia', FI: 'finland', FJ: 'fiji',
+  FR: 'france', GA: 'gabon', GB: 'united_kingdom', GH: 'ghana',
+  GR: 'greece', HU: 'hungary', ID: 'indonesia', IL: 'israel',
+  IN: 'india', IQ: 'iraq', IR: 'iran', IS: 'iceland',
+  IT: 'italy', JP: 'japan', KE: 'kenya', KG: 'kyrgyzstan',
+  KH: 'cambodia', KP: 'north_korea', KR: 'south_korea', KZ: 'kazakhstan',
+  LA: 'laos', LK: 'sri_lanka', LT: 'lithuania', LV: 'latvia',
+  LY: 'libya', MA: 'morocco', MG: 'madagascar', ML: 'mali',
+  MM: 'myanmar', MN: 'mongolia', MU: 'mauritius', MX: 'mexico',
+  MY: 'malaysia', NA: 'namibia', NE: 'niger', NG: 'nigeria',
+  NL: 'netherlands', NO: 'norway', NZ: 'new_zealand', PE: 'peru',
+  PG: 'papua_new_guinea', PH: 'philippines', PK: 'pakistan', PL: 'poland',
+  RO: 'romania', RU: 'russia', RW: 'rwanda', SA: 'saudi_arabia',
+  SC: 'seychelles', SD: 'sudan', SE: 'sweden', SG: 'singapore',
+  SO: 'somalia', TD: 'chad', TH: 'thailand', TJ: 'tajikistan',
+  TM: 'turkmenistan', TN: 'tunisia', TR: 'turkey', TZ: 'tanzania',
+  UA: 'ukraine', UG: 'uganda', US: 'united_states', UZ: 'uzbekistan',
+  VE: 'venezuela', VN: 'vietnam', ZA: 'south_africa', ZM: 'zambia',
+  ZW: 'zimbabwe'
+};
+
+// Convert country name or ISO code to translation key
 export function getCountryKey(countryName) {
   if (!countryName) return null;
   
   // Direct mapping
-  const directKey = COUNTRY_NAME_MAPPINGS[countryName];
+  const directKey = COUNTRY_NAME_MAPPINGS[countryName] || COUNTRY_CODE_MAPPINGS[countryName];
   if (directKey) return directKey;
   
   // Fallback: convert to snake_case
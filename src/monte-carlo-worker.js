@@ -0,0 +1,20 @@
+/**
+ * Web Worker running the Monte Carlo impact runs off the main thread, so the
+ * globe keeps rendering while thousands of computeAll calls go through.
+ *
+ * Receives { spec } (see runMonteCarlo) and posts { type: 'progress', done, total }
+ * while it works, then { type: 'result', summary } or { type: 'error', message }.
+ */
+
+import { runMonteCarlo } from "./monte-carlo"
+
+self.onmessage = ({ data }) => {
+  try {
+    const summary = runMonteCarlo(data.spec, (done, total) => {
+      self.postMessage({ type: 'progress', done, total })
+    })
+    self.postMessage({ type: 'result', summary })
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message })
+  }
+}
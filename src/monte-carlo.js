@@ -0,0 +1,175 @@
+/**
+ * Monte Carlo uncertainty runs for impact outcomes. NEO sizes are only known
+ * as a range from the absolute magnitude, and density and entry angle are
+ * rarely measured, so each uncertain input is drawn from its own distribution
+ * and ImpactZones.computeAll is run once per draw. The spread of the results
+ * is summarized as the median and the 5–95 % band of every zone radius.
+ *
+ * The runs are pure functions of a seed, so the Web Worker in
+ * monte-carlo-worker.js and a direct call give the same numbers.
+ */
+
+import ImpactZones from "./impactZones.js"
+
+export const DISTRIBUTION_TYPES = ['uniform', 'loguniform', 'normal', 'shoemaker']
+
+// Same limits as the launch panel inputs, so no draw leaves the models' range
+const BOUNDS = {
+  diameter_m: [1, 10000],
+  density: [500, 10000],
+  speed_km_s: [1, 100],
+  angle_deg: [1, 90]
+}
+
+const DEG = Math.PI / 180
+const PROGRESS_EVERY = 100
+
+// Small seeded generator (mulberry32), uniform on [0, 1)
+export function createRandom(seed = 1) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * One draw from a distribution
+ * @param {object} distribution - { type, a, b }: uniform and loguniform take the range [a, b],
+ *   normal takes the mean a and standard deviation b, and shoemaker (entry angles, with
+ *   probability density sin 2γ; Shoemaker 1962) is limited to [a, b] degrees
+ * @param {function} random - Uniform generator on [0, 1)
+ * @returns {number} sampled value
+ * @throws {RangeError} for an unknown distribution type
+ */
+export function sampleDistribution(distribution, random) {
+  const { type, a, b } = distribution
+  switch (type) {
+    case 'uniform':
+      return a + (b - a) * random()
+    case 'loguniform':
+      return a * Math.pow(b / a, random())
+    case 'normal':
+      // Box–Muller; 1 - u keeps the logarithm finite
+      return a + b * Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random())
+    case 'shoemaker': {
+      // The cumulative distribution of sin 2γ is sin²γ, so invert it on the allowed range
+      const lo = Math.sin(a * DEG) ** 2
+      const hi = Math.sin(b * DEG) ** 2
+      return Math.asin(Math.sqrt(lo + (hi - lo) * random())) / DEG
+    }
+    default:
+      throw new RangeError(`Unknown distribution ${type}`)
+  }
+}
+
+/**
+ * Check a distribution before a run
+ * @param {string} name - Parameter name, for the error message
+ * @param {object} distribution - { type, a, b } (see sampleDistribution)
+ * @throws {RangeError} if the parameters cannot be sampled
+ */
+export function validateDistribution(name, distribution) {
+  const { type, a, b } = distribution || {}
+  if (!DISTRIBUTION_TYPES.includes(type)) {
+    throw new RangeError(`${name}: distribution must be one of ${DISTRIBUTION_TYPES.join(', ')}`)
+  }
+  if (!Number.isFinite(a) || !Number.isFinite(b)) {
+    throw new RangeError(`${name}: distribution parameters must be numbers`)
+  }
+  if (type === 'normal' ? b < 0 : a > b) {
+    throw new RangeError(type === 'normal'
+      ? `${name}: standard deviation must not be negative`
+      : `${name}: minimum must not exceed maximum`)
+  }
+  if (type === 'loguniform' && a <= 0) {
+    throw new RangeError(`${name}: log-uniform range must be positive`)
+  }
+}
+
+/**
+ * Radii of every ring the globe shows for an impact, keyed by the zone names of
+ * the app's zone visualization, plus the released energy
+ * @param {object} zones - computeAll result
+ * @returns {object} name -> value, radii in meters and energy_kt in kilotons
+ */
+export function outcomeMetrics(zones) {
+  const metrics = {
+    energy_kt: zones.energy_kt,
+    crater: zones.crater.D_final_m / 2,
+    fireball: zones.fireball50_m
+  }
+  zones.thermalZones.forEach(zone => { metrics[`thermal_${zone.level}`] = zone.radius_m })
+  zones.seismicIntensityZones.forEach(zone => { metrics[`seismic_${zone.level}`] = zone.radius_m })
+  zones.overpressureZones.forEach(zone => { metrics[`overpressure_${zone.level}`] = zone.radius_m })
+  zones.windZones.forEach(zone => { metrics[`wind_${zone.level}`] = zone.radius_m })
+  return metrics
+}
+
+// Linear interpolation between order statistics of a sorted sample
+export function percentile(sorted, q) {
+  if (sorted.length === 0) return NaN
+  const position = (sorted.length - 1) * q
+  const below = Math.floor(position)
+  const above = Math.min(below + 1, sorted.length - 1)
+  return sorted[below] + (sorted[above] - sorted[below]) * (position - below)
+}
+
+/**
+ * Run computeAll over many draws of the uncertain inputs
+ * @param {object} spec - { samples, seed, distributions: { diameter_m, density, speed_km_s, angle_deg },
+ *   fixed } where fixed holds the other computeAll parameters (azimuth_deg, target,
+ *   waterDepth_m, strength_Pa, ...)
+ * @param {function} onProgress - Called with (done, total) every hundred draws
+ * @returns {object} { samples, airburstFraction, metrics: name -> { median, p5, p95 } }
+ * @throws {RangeError} if the sample count or a distribution is invalid
+ */
+export function runMonteCarlo(spec, onProgress = () => {}) {
+  const { samples, seed = 1, distributions, fixed = {} } = spec
+  if (!Number.isInteger(samples) || samples < 1) {
+    throw new RangeError('Sample count must be a positive integer')
+  }
+  Object.keys(BOUNDS).forEach(name => validateDistribution(name, distributions[name]))
+
+  const random = createRandom(seed)
+  const draw = (name) => {
+    const [min, max] = BOUNDS[name]
+    return Math.min(Math.max(sampleDistribution(distributions[name], random), min), max)
+  }
+
+  const values = {}
+  let airbursts = 0
+  for (let k = 0; k < samples; k++) {
+    const zones = ImpactZones.computeAll({
+      rho_t: 2500,
+      luminousEfficiency: 1e-3,
+      ...fixed,
+      quiet: true,
+      L0_m: draw('diameter_m'),
+      rho_i: draw('density'),
+      v_ms: draw('speed_km_s') * 1000,
+      gamma_deg: draw('angle_deg')
+    })
+    if (zones.event === 'airburst') airbursts++
+    Object.entries(outcomeMetrics(zones)).forEach(([name, value]) => {
+      (values[name] = values[name] || []).push(value)
+    })
+    if ((k + 1) % PROGRESS_EVERY === 0 || k + 1 === samples) {
+      onProgress(k + 1, samples)
+    }
+  }
+
+  const metrics = {}
+  Object.entries(values).forEach(([name, list]) => {
+    const sorted = Float64Array.from(list).sort()
+    metrics[name] = {
+      median: percentile(sorted, 0.5),
+      p5: percentile(sorted, 0.05),
+      p95: percentile(sorted, 0.95)
+    }
+  })
+  return { samples, airburstFraction: airbursts / samples, metrics }
+}
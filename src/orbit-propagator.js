@@ -0,0 +1,335 @@
+/**
+ * Two-body Keplerian propagation from classical orbital elements.
+ * Positions are heliocentric ecliptic J2000 coordinates in kilometers; the
+ * mean anomaly is advanced with the mean motion and converted to the true
+ * anomaly by solving Kepler's equation.
+ */
+
+export const AU_KM = 149597870.7
+export const GM_SUN_KM3_S2 = 1.32712440018e11
+export const OBLIQUITY_J2000_DEG = 23.4392911
+
+// Reference date for the instanced catalog's shader clock: the start of the
+// NEO feed window the bundled orbits were fetched for (backend/asteroids.py)
+export const DEFAULT_EPOCH_MS = Date.UTC(2025, 0, 1)
+
+const DEG = Math.PI / 180
+const TWO_PI = 2 * Math.PI
+
+// Earth-Moon barycenter, J2000 mean elements (Standish, JPL "Keplerian Elements
+// for Approximate Positions of the Major Planets"); Ω is undefined at i ≈ 0, so ω
+// carries the longitude of perihelion and M0 = L - ϖ
+export const EARTH_ELEMENTS = {
+  a_km: 1.00000261 * AU_KM,
+  e: 0.01671123,
+  i_deg: 0,
+  raan_deg: 0,
+  argp_deg: 102.93768193,
+  M0_deg: 100.46457166 - 102.93768193,
+  epoch_ms: Date.UTC(2000, 0, 1, 12)
+}
+
+/**
+ * Solve Kepler's equation M = E - e·sin(E) for the eccentric anomaly
+ * @param {number} M - Mean anomaly in radians
+ * @param {number} e - Eccentricity (0 <= e < 1)
+ * @param {number} tolerance - Convergence threshold in radians
+ * @returns {number} eccentric anomaly in radians
+ */
+export function solveKepler(M, e, tolerance = 1e-12) {
+  if (e < 0 || e >= 1) {
+    throw new RangeError(`Kepler solver requires an elliptical orbit (e = ${e})`)
+  }
+  const m = ((M % TWO_PI) + TWO_PI) % TWO_PI
+  // Starting at π for high eccentricities keeps Newton's method from overshooting near periapsis
+  let E = e < 0.8 ? m : Math.PI
+  for (let i = 0; i < 50; i++) {
+    const dE = (E - e * Math.sin(E) - m) / (1 - e * Math.cos(E))
+    E -= dE
+    if (Math.abs(dE) < tolerance) break
+  }
+  return E
+}
+
+/**
+ * Convert a mean anomaly to the true anomaly
+ * @param {number} M - Mean anomaly in radians
+ * @param {number} e - Eccentricity
+ * @returns {number} true anomaly in radians
+ */
+export function trueAnomalyFromMean(M, e) {
+  const E = solveKepler(M, e)
+  return 2 * Math.atan2(Math.sqrt(1 + e) * Math.sin(E / 2), Math.sqrt(1 - e) * Math.cos(E / 2))
+}
+
+/**
+ * Mean motion of an orbit around the Sun
+ * @param {number} a_km - Semi-major axis in kilometers
+ * @returns {number} mean motion in radians per second
+ */
+export function meanMotion(a_km) {
+  return Math.sqrt(GM_SUN_KM3_S2 / (a_km * a_km * a_km))
+}
+
+/**
+ * Orbital period around the Sun
+ * @param {object} elements - Orbital elements (see propagate)
+ * @returns {number} period in seconds
+ */
+export function orbitalPeriod(elements) {
+  return TWO_PI / meanMotion(elements.a_km)
+}
+
+/**
+ * Position on the orbit for a given true anomaly
+ * @param {object} elements - Orbital elements (see propagate)
+ * @param {number} nu - True anomaly in radians
+ * @returns {{x: number, y: number, z: number}} ecliptic position in kilometers
+ */
+export function positionAtTrueAnomaly(elements, nu) {
+  const { a_km, e } = elements
+  const i = elements.i_deg * DEG
+  const raan = elements.raan_deg * DEG
+  const argp = elements.argp_deg * DEG
+
+  const r = a_km * (1 - e * e) / (1 + e * Math.cos(nu))
+  const u = argp + nu // argument of latitude
+
+  const cosO = Math.cos(raan)
+  const sinO = Math.sin(raan)
+  const cosU = Math.cos(u)
+  const sinU = Math.sin(u)
+  const cosI = Math.cos(i)
+
+  return {
+    x: r * (cosO * cosU - sinO * sinU * cosI),
+    y: r * (sinO * cosU + cosO * sinU * cosI),
+    z: r * (sinU * Math.sin(i))
+  }
+}
+
+// Radial and along-track unit vectors for argument of latitude u
+function orbitFrame(elements, u) {
+  const i = elements.i_deg * DEG
+  const raan = elements.raan_deg * DEG
+  const cosO = Math.cos(raan)
+  const sinO = Math.sin(raan)
+  const cosU = Math.cos(u)
+  const sinU = Math.sin(u)
+  const cosI = Math.cos(i)
+  const sinI = Math.sin(i)
+  return {
+    radial: [cosO * cosU - sinO * sinU * cosI, sinO * cosU + cosO * sinU * cosI, sinU * sinI],
+    transverse: [-cosO * sinU - sinO * cosU * cosI, -sinO * sinU + cosO * cosU * cosI, cosU * sinI]
+  }
+}
+
+/**
+ * Heliocentric velocity on the orbit for a given true anomaly
+ * @param {object} elements - Orbital elements (see propagate)
+ * @param {number} nu - True anomaly in radians
+ * @returns {{x: number, y: number, z: number}} ecliptic velocity in km/s
+ */
+export function velocityAtTrueAnomaly(elements, nu) {
+  const { a_km, e } = elements
+  const p = a_km * (1 - e * e)
+  const k = Math.sqrt(GM_SUN_KM3_S2 / p)
+  const vr = k * e * Math.sin(nu)
+  const vt = k * (1 + e * Math.cos(nu))
+  const { radial, transverse } = orbitFrame(elements, elements.argp_deg * DEG + nu)
+  return {
+    x: vr * radial[0] + vt * transverse[0],
+    y: vr * radial[1] + vt * transverse[1],
+    z: vr * radial[2] + vt * transverse[2]
+  }
+}
+
+/**
+ * Position and velocity at a date
+ * @param {object} elements - Orbital elements (see propagate)
+ * @param {Date|number} date - Target date
+ * @returns {{position: object, velocity: object}} ecliptic state in km and km/s
+ */
+export function stateAt(elements, date) {
+  const position = propagate(elements, date)
+  return { position, velocity: velocityAtTrueAnomaly(elements, position.trueAnomaly) }
+}
+
+/**
+ * Classical elements of the heliocentric orbit through a state vector, e.g.
+ * after a velocity change
+ * @param {{x: number, y: number, z: number}} position - Ecliptic position in km
+ * @param {{x: number, y: number, z: number}} velocity - Ecliptic velocity in km/s
+ * @param {number} epoch_ms - Date of the state (milliseconds since the Unix epoch)
+ * @returns {object} orbital elements (see propagate)
+ * @throws {RangeError} if the state is not on a closed orbit
+ */
+export function elementsFromState(position, velocity, epoch_ms) {
+  const mu = GM_SUN_KM3_S2
+  const r = [position.x, position.y, position.z]
+  const v = [velocity.x, velocity.y, velocity.z]
+  const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2]
+  const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]]
+  const unit = (a) => { const n = Math.hypot(...a); return a.map(c => c / n) }
+
+  const rNorm = Math.hypot(...r)
+  const v2 = dot(v, v)
+  const a_km = 1 / (2 / rNorm - v2 / mu)
+  const rv = dot(r, v)
+  const eVec = r.map((c, k) => ((v2 - mu / rNorm) * c - rv * v[k]) / mu)
+  const e = Math.hypot(...eVec)
+  if (!(a_km > 0) || e >= 1) {
+    throw new RangeError(`State is not on an elliptical orbit (e = ${e})`)
+  }
+
+  const h = unit(cross(r, v))
+  const i = Math.acos(Math.max(-1, Math.min(1, h[2])))
+  // Ascending node along ẑ × h; an equatorial orbit keeps Ω = 0
+  const raan = Math.hypot(h[0], h[1]) > 1e-12 ? Math.atan2(h[0], -h[1]) : 0
+  const node = [Math.cos(raan), Math.sin(raan), 0]
+  const inPlane = cross(h, node)
+  // A circular orbit has no periapsis; measure from the node instead
+  const periapsis = e > 1e-12 ? eVec.map(c => c / e) : node
+  const argp = Math.atan2(dot(periapsis, inPlane), dot(periapsis, node))
+  const nu = Math.atan2(dot(r, cross(h, periapsis)), dot(r, periapsis))
+
+  const E = 2 * Math.atan2(Math.sqrt(1 - e) * Math.sin(nu / 2), Math.sqrt(1 + e) * Math.cos(nu / 2))
+  const M = E - e * Math.sin(E)
+
+  return {
+    a_km,
+    e,
+    i_deg: i / DEG,
+    raan_deg: ((raan / DEG) + 360) % 360,
+    argp_deg: ((argp / DEG) + 360) % 360,
+    M0_deg: ((M / DEG) + 360) % 360,
+    epoch_ms
+  }
+}
+
+/**
+ * Whether the elements fix where the body is along its orbit. Orbits recovered
+ * from a sampled shape carry no mean anomaly or epoch, so they can be drawn
+ * but not propagated.
+ * @param {object} elements - Orbital elements (see propagate)
+ * @returns {boolean} true if M0_deg and epoch_ms are known
+ */
+export function hasOrbitalPhase(elements) {
+  return Number.isFinite(elements.M0_deg) && Number.isFinite(elements.epoch_ms)
+}
+
+/**
+ * Elements a marker can be moved with. An orbit without a known phase is
+ * given one, perihelion at DEFAULT_EPOCH_MS, so it still travels along its
+ * path; encounter predictions must check hasOrbitalPhase instead.
+ * @param {object} elements - Orbital elements (see propagate)
+ * @returns {object} the elements, with M0_deg and epoch_ms filled in if missing
+ */
+export function displayElements(elements) {
+  return hasOrbitalPhase(elements) ? elements : { ...elements, M0_deg: 0, epoch_ms: DEFAULT_EPOCH_MS }
+}
+
+/**
+ * Propagate classical orbital elements to a date
+ * @param {object} elements - { a_km, e, i_deg, raan_deg, argp_deg, M0_deg, epoch_ms }
+ * @param {Date|number} date - Target date (Date or milliseconds since the Unix epoch)
+ * @returns {{x: number, y: number, z: number, r: number, trueAnomaly: number}} ecliptic position in kilometers
+ * @throws {RangeError} if the elements have no mean anomaly and epoch
+ */
+export function propagate(elements, date) {
+  if (!hasOrbitalPhase(elements)) {
+    throw new RangeError('Orbit has no mean anomaly and epoch to propagate from')
+  }
+  const dt_s = ((date instanceof Date ? date.getTime() : date) - elements.epoch_ms) / 1000
+  const M = elements.M0_deg * DEG + meanMotion(elements.a_km) * dt_s
+  const nu = trueAnomalyFromMean(M, elements.e)
+  const position = positionAtTrueAnomaly(elements, nu)
+  return { ...position, r: Math.hypot(position.x, position.y, position.z), trueAnomaly: nu }
+}
+
+/**
+ * Sample one full revolution of the orbit. Points are spaced evenly in
+ * eccentric anomaly, which keeps them denser near periapsis than an even
+ * split in time would.
+ * @param {object} elements - Orbital elements (see propagate)
+ * @param {number} count - Number of points
+ * @returns {Array<{x: number, y: number, z: number}>} ecliptic positions in kilometers
+ */
+export function sampleOrbit(elements, count = 200) {
+  const { e } = elements
+  const points = []
+  for (let k = 0; k < count; k++) {
+    const E = (k / count) * TWO_PI
+    const nu = 2 * Math.atan2(Math.sqrt(1 + e) * Math.sin(E / 2), Math.sqrt(1 - e) * Math.cos(E / 2))
+    points.push(positionAtTrueAnomaly(elements, nu))
+  }
+  return points
+}
+
+/**
+ * Recover classical elements from an orbit sampled by backend/asteroids.py,
+ * i.e. points spaced evenly in true anomaly over [0, 2π] starting at periapsis.
+ * The samples do not record where the body was at any date, so M0_deg and
+ * epoch_ms stay null unless given (see hasOrbitalPhase).
+ * @param {Array<Array<number>>} coords - [x, y, z] points in kilometers
+ * @param {object} options - { M0_deg, epoch_ms } of the body, when known
+ * @returns {object} orbital elements (see propagate)
+ */
+export function elementsFromSampledOrbit(coords, options = {}) {
+  const count = coords.length
+  const periapsis = coords[0]
+  const rp = Math.hypot(...periapsis)
+
+  // Orbit normal from the summed cross products of consecutive samples
+  const h = [0, 0, 0]
+  for (let k = 0; k < count - 1; k++) {
+    const [ax, ay, az] = coords[k]
+    const [bx, by, bz] = coords[k + 1]
+    h[0] += ay * bz - az * by
+    h[1] += az * bx - ax * bz
+    h[2] += ax * by - ay * bx
+  }
+  const hNorm = Math.hypot(...h)
+  const n = h.map(c => c / hNorm)
+
+  // Eccentricity from the radius at the sample closest to apoapsis
+  const k = Math.floor(count / 2)
+  const nu = (k / (count - 1)) * TWO_PI
+  const r = Math.hypot(...coords[k])
+  const e = (r - rp) / (rp - r * Math.cos(nu))
+  const a_km = rp / (1 - e)
+
+  const i = Math.acos(Math.max(-1, Math.min(1, n[2])))
+  // Ascending node lies along ẑ × n; an equatorial orbit keeps Ω = 0
+  const raan = Math.hypot(n[0], n[1]) > 1e-12 ? Math.atan2(n[0], -n[1]) : 0
+  const node = [Math.cos(raan), Math.sin(raan), 0]
+  const inPlane = [n[1] * node[2] - n[2] * node[1], n[2] * node[0] - n[0] * node[2], n[0] * node[1] - n[1] * node[0]]
+  const argp = Math.atan2(
+    periapsis[0] * inPlane[0] + periapsis[1] * inPlane[1] + periapsis[2] * inPlane[2],
+    periapsis[0] * node[0] + periapsis[1] * node[1] + periapsis[2] * node[2]
+  )
+
+  return {
+    a_km,
+    e,
+    i_deg: i / DEG,
+    raan_deg: ((raan / DEG) + 360) % 360,
+    argp_deg: ((argp / DEG) + 360) % 360,
+    M0_deg: options.M0_deg ?? null,
+    epoch_ms: options.epoch_ms ?? null
+  }
+}
+
+/**
+ * Rotate an ecliptic position into the scene frame, where +Y is the north
+ * celestial pole and the equatorial X axis maps to +X (see latLonToVector3)
+ * @param {{x: number, y: number, z: number}} position - Ecliptic position
+ * @param {number} scale - Scene units per kilometer
+ * @returns {{x: number, y: number, z: number}} scene position
+ */
+export function eclipticToScene(position, scale = 1) {
+  const eps = OBLIQUITY_J2000_DEG * DEG
+  const yEq = position.y * Math.cos(eps) - position.z * Math.sin(eps)
+  const zEq = position.y * Math.sin(eps) + position.z * Math.cos(eps)
+  return { x: position.x * scale, y: zEq * scale, z: -yEq * scale }
+}
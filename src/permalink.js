@@ -0,0 +1,76 @@
+/**
+ * Shareable links: a scenario (see scenario.js) and the interface language
+ * packed into the URL hash as short query parameters, e.g.
+ * #lat=35.6&lon=139.6&d=300&v=25000&rho=7800&a=45&az=90&mat=iron&lang=en&replay=1
+ * Parameters left out of a hand-written link keep their current values.
+ */
+
+import { createScenario, validateScenario } from "./scenario"
+
+// Hash parameter for each numeric scenario field
+const FIELDS = {
+  lat: ['target', 'lat'],
+  lon: ['target', 'lon'],
+  d: ['impactor', 'diameter_m'],
+  v: ['impactor', 'speed_m_s'],
+  rho: ['impactor', 'density_kg_m3'],
+  a: ['impactor', 'angle_deg'],
+  az: ['impactor', 'azimuth_deg']
+}
+
+const round = (value, digits) => Number(value.toFixed(digits))
+
+/**
+ * Encode a scenario as a URL hash (without the leading '#')
+ * @param {object} scenario - Scenario document
+ * @param {object} options - { language, replay } to include in the link
+ * @returns {string} hash string
+ */
+export function scenarioToHash(scenario, options = {}) {
+  const query = new URLSearchParams()
+  Object.entries(FIELDS).forEach(([key, [section, field]]) => {
+    query.set(key, round(scenario[section][field], 4))
+  })
+  if (scenario.impactor.material !== 'auto') query.set('mat', scenario.impactor.material)
+  if (scenario.asteroid) query.set('ast', scenario.asteroid)
+  query.set('cam', [...scenario.camera.position, ...scenario.camera.target].map(c => round(c, 3)).join(','))
+  // Whole seconds keep the link short
+  query.set('t', scenario.simulation.date.replace(/\.\d+Z$/, 'Z'))
+  query.set('rate', scenario.simulation.rate)
+  query.set('play', scenario.simulation.playing ? '1' : '0')
+  if (options.language) query.set('lang', options.language)
+  if (options.replay) query.set('replay', '1')
+  return query.toString()
+}
+
+/**
+ * Decode a URL hash produced by scenarioToHash
+ * @param {string} hash - location.hash, with or without the leading '#'
+ * @param {object} base - Scenario supplying the values the link leaves out
+ * @returns {object|null} { scenario, language, replay }, or null if the hash holds no scenario
+ * @throws {TypeError|RangeError} if a value in the link is invalid
+ */
+export function scenarioFromHash(hash, base) {
+  const query = new URLSearchParams(hash.replace(/^#/, ''))
+  if (!Object.keys(FIELDS).some(key => query.has(key))) return null
+
+  const scenario = createScenario(base)
+  Object.entries(FIELDS).forEach(([key, [section, field]]) => {
+    if (query.has(key)) scenario[section][field] = parseFloat(query.get(key))
+  })
+  if (query.has('mat')) scenario.impactor.material = query.get('mat') || 'auto'
+  if (query.has('ast')) scenario.asteroid = query.get('ast') || null
+  if (query.has('cam')) {
+    const cam = query.get('cam').split(',').map(parseFloat)
+    scenario.camera = { position: cam.slice(0, 3), target: cam.slice(3, 6) }
+  }
+  if (query.has('t')) scenario.simulation.date = query.get('t')
+  if (query.has('rate')) scenario.simulation.rate = parseFloat(query.get('rate'))
+  if (query.has('play')) scenario.simulation.playing = query.get('play') !== '0'
+
+  return {
+    scenario: validateScenario(scenario),
+    language: query.get('lang'),
+    replay: query.get('replay') === '1'
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * Exposed-population and casualty estimates from the bundled 0.25° population
+ * grid (assets/population_grid.json, built by backend/population_grid.py).
+ * Everything runs offline; the grid is coarse, so results are order-of-magnitude
+ * figures for outreach, not emergency planning numbers.
+ */
+
+import { destinationPoint } from "./coordinate-utils"
+
+const KM_PER_DEGREE = 111.195
+const EARTH_RADIUS_M = 6371000
+// Rings wider than this close up again at the antipode
+const MAX_RING_RADIUS_M = Math.PI * EARTH_RADIUS_M
+
+/**
+ * Expand the sparse, delta-encoded grid file into a dense lookup table
+ * @param {object} data - Parsed population_grid.json
+ * @returns {object} grid with width, height, resolution_deg, a Float32Array of people per cell
+ *   and the total population
+ */
+export function loadPopulationGrid(data) {
+  const population = new Float32Array(data.width * data.height)
+  let index = 0
+  let total = 0
+  data.cells.forEach((delta, i) => {
+    index += delta
+    population[index] = data.population[i]
+    total += data.population[i]
+  })
+  return { width: data.width, height: data.height, resolution_deg: data.resolution_deg, population, total }
+}
+
+/**
+ * Population density of the grid cell containing a point
+ * @param {object} grid - Grid returned by loadPopulationGrid
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @returns {number} people per square kilometer
+ */
+export function populationDensityAt(grid, lat, lon) {
+  const res = grid.resolution_deg
+  const col = Math.min(grid.width - 1, Math.floor((((lon + 180) % 360 + 360) % 360) / res))
+  const row = Math.min(grid.height - 1, Math.max(0, Math.floor((90 - lat) / res)))
+  const cellLat = 90 - (row + 0.5) * res
+  const cellArea = (res * KM_PER_DEGREE) ** 2 * Math.cos(cellLat * Math.PI / 180)
+  return grid.population[row * grid.width + col] / cellArea
+}
+
+/**
+ * Integrate the population around an impact over concentric annuli. Each annulus
+ * is sampled on a circle of bearings, so tiny craters and continent-sized blast
+ * rings use the same code path. Annuli are measured on the sphere and radii stop
+ * at the antipode, and since sampling a coarse grid can still overshoot, no count
+ * exceeds the grid's total population.
+ * @param {object} grid - Grid returned by loadPopulationGrid
+ * @param {number} lat - Impact latitude in degrees
+ * @param {number} lon - Impact longitude in degrees
+ * @param {object} rings - Map of ring name to radius in meters
+ * @param {function} mortalityAtDistance - Fraction killed at a ground distance in meters (optional)
+ * @returns {object} { exposed: {ring name: people inside}, totalExposed, deaths }
+ */
+export function estimatePopulationImpact(grid, lat, lon, rings, mortalityAtDistance = null) {
+  const capped = radius => Math.min(radius, MAX_RING_RADIUS_M)
+  const radii = [...new Set(Object.values(rings).filter(r => r > 0 && isFinite(r)).map(capped))].sort((a, b) => a - b)
+  const exposedAt = new Map([[0, 0]])
+  const halfCell_m = grid.resolution_deg * KM_PER_DEGREE * 1000 / 2
+  let cumulative = 0
+  let deaths = 0
+  let inner = 0
+
+  radii.forEach(outer => {
+    const steps = Math.min(200, Math.max(4, Math.ceil((outer - inner) / halfCell_m)))
+    const width = (outer - inner) / steps
+    for (let k = 0; k < steps; k++) {
+      const r0 = inner + k * width
+      const r1 = r0 + width
+      const mid = (r0 + r1) / 2
+      const circumference = 2 * Math.PI * EARTH_RADIUS_M * Math.sin(mid / EARTH_RADIUS_M)
+      const bearings = Math.min(2048, Math.max(16, Math.ceil(circumference / halfCell_m)))
+
+      let density = 0
+      for (let b = 0; b < bearings; b++) {
+        const point = destinationPoint(lat, lon, (b / bearings) * 360, mid / 1000)
+        density += populationDensityAt(grid, point.lat, point.lon)
+      }
+      // Area of the annulus between two spherical caps
+      const area = 2 * Math.PI * EARTH_RADIUS_M ** 2 * (Math.cos(r0 / EARTH_RADIUS_M) - Math.cos(r1 / EARTH_RADIUS_M))
+      const people = (density / bearings) * area / 1e6
+
+      cumulative += people
+      if (mortalityAtDistance) {
+        deaths += people * mortalityAtDistance(mid)
+      }
+    }
+    exposedAt.set(outer, Math.min(cumulative, grid.total))
+    inner = outer
+  })
+
+  const exposed = {}
+  Object.entries(rings).forEach(([name, radius]) => {
+    exposed[name] = exposedAt.get(capped(radius)) || 0
+  })
+  const totalExposed = Math.min(cumulative, grid.total)
+  return { exposed, totalExposed, deaths: Math.min(deaths, totalExposed) }
+}
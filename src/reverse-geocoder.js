@@ -0,0 +1,341 @@
+/**
+ * Reverse geocoding behind a list of pluggable providers. The default provider
+ * works offline from the bundled Natural Earth admin-1 boundaries
+ * (assets/country_boundaries.json, built by backend/country_boundaries.py) and
+ * names the ocean or sea for points outside every country; a network provider
+ * can be put in front of it for city-level detail.
+ *
+ * Every provider resolves to the same shape (or null when it has no answer):
+ * { countryCode, country, regionCode, region, city, locality, continent, waterBody, source }
+ * where countryCode is ISO 3166-1 alpha-2 and regionCode is ISO 3166-2.
+ */
+
+// Spatial index cell size
+const CELL_DEG = 10
+const CELLS_X = 360 / CELL_DEG
+const CELLS_Y = 180 / CELL_DEG
+
+// Simplified borders and coasts leave slivers between units; clicks that land
+// in one are given to the nearest unit within this distance
+const SNAP_DISTANCE_DEG = 0.1
+
+const box = (west, south, east, north) => [[west, south], [east, south], [east, north], [west, north]]
+
+// Coarse outlines of named seas as [lon, lat] rings, checked in order before
+// the ocean basins, so enclosed seas come before the seas that contain them.
+// Land inside an outline does not matter because countries are tested first.
+const SEAS = [
+  { name: 'Caspian Sea', rings: [box(46.5, 36.5, 55, 47.2)] },
+  { name: 'Sea of Azov', rings: [box(34.8, 45.2, 39.3, 47.3)] },
+  { name: 'Black Sea', rings: [box(27.3, 40.8, 41.8, 46.8)] },
+  { name: 'Aegean Sea', rings: [box(22.5, 35.2, 28.3, 41)] },
+  { name: 'Adriatic Sea', rings: [[[12.2, 45.8], [13.8, 45.8], [19.7, 41.8], [19.5, 40], [18.5, 40], [16, 41.4], [12.2, 44.3]]] },
+  { name: 'Bay of Biscay', rings: [box(-10, 43.3, -1, 48)] },
+  { name: 'Mediterranean Sea', rings: [box(-5.6, 30, 36.5, 46)] },
+  { name: 'Red Sea', rings: [[[32.2, 29.9], [35.2, 28], [43.6, 12.6], [42.5, 12.4], [36.5, 18], [32.2, 27.5]]] },
+  { name: 'Gulf of Aden', rings: [box(43.3, 10.5, 51.5, 15.5)] },
+  { name: 'Persian Gulf', rings: [[[47.5, 30.5], [50.5, 30.5], [56.5, 27], [56.4, 25.8], [51, 23.8], [47.5, 28.5]]] },
+  { name: 'Gulf of Oman', rings: [[[56.4, 26.5], [61.7, 25.2], [59, 22.3], [56.5, 24]]] },
+  { name: 'Arabian Sea', rings: [box(50, 5, 77, 25.5)] },
+  { name: 'Andaman Sea', rings: [[[94.5, 17], [98.8, 16.5], [100, 8], [98, 5.5], [95.2, 5.5], [92.2, 13], [93.2, 16]]] },
+  { name: 'Bay of Bengal', rings: [box(79.8, 5.5, 94.5, 23)] },
+  { name: 'Gulf of Thailand', rings: [box(99, 6, 105, 13.8)] },
+  { name: 'South China Sea', rings: [[[105.5, 21.9], [111, 21.5], [117, 23.5], [120.8, 22], [120.5, 14], [119.4, 10.5], [117, 6.9], [110, 1.2], [104.2, 1.2], [102.5, 5], [105, 8.6], [109.5, 12], [108, 16], [106, 19]]] },
+  { name: 'Sulu Sea', rings: [[[117, 7.2], [119.5, 10.5], [122.5, 11], [122.5, 8], [121, 6], [119, 5.3]]] },
+  { name: 'Celebes Sea', rings: [[[119, 4.5], [120, 7], [124.5, 7.5], [125.5, 5.5], [125, 2], [120, 0.8]]] },
+  { name: 'Java Sea', rings: [[[105.5, -6], [106.5, -3], [111, -2.5], [116, -3], [117.5, -5], [114.5, -7.8], [106, -7]]] },
+  { name: 'Banda Sea', rings: [box(122, -8, 132, -3.5)] },
+  { name: 'Timor Sea', rings: [[[122.5, -11], [125, -8.3], [127, -8.3], [130, -9.5], [130, -13], [127, -14], [123, -13]]] },
+  { name: 'Gulf of Carpentaria', rings: [[[136, -12], [142, -10.7], [142, -17.5], [140.5, -17.8], [136.5, -16]]] },
+  { name: 'Arafura Sea', rings: [[[130, -9.5], [134, -7], [138, -7.5], [141, -9.3], [141.5, -13], [136, -12], [130.5, -13]]] },
+  { name: 'Coral Sea', rings: [[[142, -9.5], [150, -10], [157, -11], [163, -16], [162, -25], [153.5, -29], [146, -19]]] },
+  { name: 'Tasman Sea', rings: [[[148, -38.5], [153.5, -29], [162, -28], [173, -33], [173, -41], [167, -47], [147, -43.5]]] },
+  { name: 'Great Australian Bight', rings: [box(115.5, -39, 141, -31.5)] },
+  { name: 'Yellow Sea', rings: [[[119, 41], [122.5, 41], [126.5, 37.8], [126.5, 34.2], [122, 33], [119.5, 35]]] },
+  { name: 'East China Sea', rings: [[[117.5, 24], [121, 22], [122.5, 25], [129, 31], [130.5, 33.5], [126, 33.5], [122, 33], [119.5, 26.5]]] },
+  { name: 'Sea of Japan', rings: [[[127.5, 35], [130.5, 33.8], [135.5, 35.5], [140.3, 38.5], [141.8, 45.5], [142, 52], [140.5, 52], [138, 46], [131, 42.5], [128.5, 38.5]]] },
+  { name: 'Philippine Sea', rings: [[[121.5, 25], [130, 32], [136, 35], [140, 35], [145, 20], [135, 5], [126.5, 5], [124, 12], [122, 19]]] },
+  { name: 'Sea of Okhotsk', rings: [[[135, 54.5], [142, 54], [142.5, 46], [145.5, 43.5], [150, 45.5], [156.7, 50.8], [156, 57.5], [163, 62], [155, 62.5], [145, 60], [140, 59]]] },
+  // Split at the antimeridian
+  { name: 'Bering Sea', rings: [
+    [[162, 55], [162, 62], [180, 66.5], [180, 51.2], [170, 52.8]],
+    [[-180, 51.2], [-180, 66.5], [-168, 66], [-165, 60], [-157.5, 58.5], [-162.5, 54.5], [-172, 52]]
+  ] },
+  { name: 'Gulf of Alaska', rings: [[[-160, 54.5], [-155, 60.5], [-145, 61], [-135, 58.5], [-133, 54], [-150, 52], [-160, 53]]] },
+  { name: 'Gulf of California', rings: [[[-114.8, 31.8], [-112.5, 31.5], [-108.8, 25.2], [-105.5, 22.8], [-109.5, 22.8], [-110.5, 24], [-112.5, 28]]] },
+  { name: 'Gulf of Mexico', rings: [[[-98, 18], [-97.3, 30], [-88, 31], [-82.5, 30], [-80.5, 25], [-81, 23.2], [-84.9, 21.9], [-87, 21.5], [-90.4, 21]]] },
+  { name: 'Caribbean Sea', rings: [[[-89, 15.5], [-88, 21.5], [-84.9, 21.9], [-74, 20], [-68, 18.6], [-61.5, 18], [-61, 11], [-61.5, 10.5], [-72, 11], [-76, 8.5], [-81.5, 8.5], [-83.7, 10.8], [-83.2, 15]]] },
+  { name: 'Gulf of Saint Lawrence', rings: [[[-66.5, 50.2], [-60, 50.3], [-57, 51.5], [-59.5, 47.5], [-61, 45.5], [-64.5, 46], [-66, 48.5]]] },
+  { name: 'Hudson Bay', rings: [[[-95.5, 59], [-94.5, 64], [-86, 66.5], [-77, 63], [-76.5, 57.5], [-79.5, 51], [-82, 52.5], [-87, 56], [-92.5, 57]]] },
+  { name: 'Labrador Sea', rings: [[[-64.5, 60.5], [-52, 66], [-45, 60], [-53, 52], [-56, 51.5], [-61, 56]]] },
+  { name: 'Baffin Bay', rings: [[[-80, 73.5], [-80, 78.5], [-70, 78.5], [-56, 75], [-52, 66], [-64.5, 66.5], [-68, 70]]] },
+  { name: 'English Channel', rings: [[[-5.8, 49.8], [-5.5, 50.2], [-1, 50.9], [1.5, 51.1], [1.8, 50.8], [-1.5, 49.5], [-5, 48.3]]] },
+  { name: 'Irish Sea', rings: [[[-6.3, 52], [-3, 53.5], [-3, 54.8], [-5.2, 55], [-6.2, 54.5]]] },
+  { name: 'Baltic Sea', rings: [[[10, 54], [10.5, 57], [12.5, 56.3], [17, 60.5], [21, 65.8], [25.5, 65.8], [30, 60], [22, 59.3], [21, 55], [14, 53.8]]] },
+  { name: 'North Sea', rings: [[[-1.5, 51], [-4, 58.5], [-4.5, 61], [5, 62], [5, 58], [8, 57.5], [8.5, 54], [4, 51.3], [1.5, 51]]] },
+  { name: 'White Sea', rings: [[[31.5, 64], [34, 67], [41, 66.8], [44.5, 66.2], [39.5, 64], [35, 63.8]]] },
+  { name: 'Norwegian Sea', rings: [[[-5, 61], [5, 62], [16, 69], [20, 71], [12, 74], [-5, 72], [-15, 64], [-7, 62]]] },
+  { name: 'Greenland Sea', rings: [[[-20, 70], [-5, 72], [12, 74], [12, 80], [-15, 81], [-22, 75]]] },
+  { name: 'Barents Sea', rings: [[[20, 71], [16, 75], [20, 80], [55, 80.5], [65, 76], [55, 70.5], [45, 68], [40, 66], [34, 69.2]]] },
+  { name: 'Kara Sea', rings: [[[56, 70.5], [65, 76], [78, 81], [100, 80], [100, 73], [80, 72], [70, 68.5]]] },
+  { name: 'Gulf of Guinea', rings: [box(-7.5, -1.5, 10, 6.5)] },
+  { name: 'Mozambique Channel', rings: [[[35.5, -10.5], [44.5, -11], [49, -12], [43.8, -25], [32.5, -26], [35, -20]]] },
+  { name: 'Scotia Sea', rings: [[[-65, -55], [-38, -53], [-26, -57], [-28, -61], [-45, -61], [-63, -60]]] },
+  { name: 'Weddell Sea', rings: [[[-60, -64], [-45, -62], [-20, -70], [-20, -78], [-62, -77]]] },
+  { name: 'Ross Sea', rings: [
+    [[160, -71], [180, -72], [180, -78.5], [160, -78]],
+    [[-180, -72], [-158, -75], [-158, -78.5], [-180, -78.5]]
+  ] }
+]
+
+// Flattened to [lon, lat, lon, lat, ...] like the decoded boundary rings
+const SEA_OUTLINES = SEAS.map(({ name, rings }) => ({ name, rings: rings.map(ring => ring.flat()) }))
+
+function normalizeLon(lon) {
+  return ((lon + 180) % 360 + 360) % 360 - 180
+}
+
+function cellOf(lat, lon) {
+  const x = Math.min(CELLS_X - 1, Math.floor((lon + 180) / CELL_DEG))
+  const y = Math.min(CELLS_Y - 1, Math.max(0, Math.floor((90 - lat) / CELL_DEG)))
+  return y * CELLS_X + x
+}
+
+/**
+ * Decode the delta-encoded boundary file and index every region by the
+ * 10° cells its bounding box touches
+ * @param {object} data - Parsed country_boundaries.json
+ * @returns {object} boundaries with countries, regions and a cell index
+ */
+export function loadCountryBoundaries(data) {
+  const countries = data.countries.map(([code, name]) => ({ code, name }))
+  const cells = Array.from({ length: CELLS_X * CELLS_Y }, () => [])
+
+  const regions = data.regions.map(([countryIndex, code, name, encodedRings], index) => {
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity]
+    const rings = encodedRings.map(encoded => {
+      const ring = new Float32Array(encoded.length)
+      let x = 0
+      let y = 0
+      for (let i = 0; i < encoded.length; i += 2) {
+        x += encoded[i]
+        y += encoded[i + 1]
+        ring[i] = x / data.scale
+        ring[i + 1] = y / data.scale
+        bbox[0] = Math.min(bbox[0], ring[i])
+        bbox[1] = Math.min(bbox[1], ring[i + 1])
+        bbox[2] = Math.max(bbox[2], ring[i])
+        bbox[3] = Math.max(bbox[3], ring[i + 1])
+      }
+      return ring
+    })
+
+    const x0 = Math.max(0, Math.floor((bbox[0] - SNAP_DISTANCE_DEG + 180) / CELL_DEG))
+    const x1 = Math.min(CELLS_X - 1, Math.floor((bbox[2] + SNAP_DISTANCE_DEG + 180) / CELL_DEG))
+    const y0 = Math.max(0, Math.floor((90 - bbox[3] - SNAP_DISTANCE_DEG) / CELL_DEG))
+    const y1 = Math.min(CELLS_Y - 1, Math.floor((90 - bbox[1] + SNAP_DISTANCE_DEG) / CELL_DEG))
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
+        cells[y * CELLS_X + x].push(index)
+      }
+    }
+
+    return { country: countries[countryIndex], code, name, rings, bbox }
+  })
+
+  return { countries, regions, cells, source: data.source }
+}
+
+function insideRings(rings, lon, lat) {
+  // Even-odd rule over all rings, so holes and multi-part units need no special case
+  let inside = false
+  rings.forEach(ring => {
+    const n = ring.length
+    for (let i = 0, j = n - 2; i < n; j = i, i += 2) {
+      const xi = ring[i]
+      const yi = ring[i + 1]
+      const xj = ring[j]
+      const yj = ring[j + 1]
+      if ((yi > lat) !== (yj > lat) && lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+        inside = !inside
+      }
+    }
+  })
+  return inside
+}
+
+function distanceToRings(rings, lon, lat) {
+  // Degrees of longitude are shortened by cos(lat) so the snap distance is roughly isotropic
+  const k = Math.cos(lat * Math.PI / 180)
+  let best = Infinity
+  rings.forEach(ring => {
+    const n = ring.length
+    for (let i = 0, j = n - 2; i < n; j = i, i += 2) {
+      const ax = ring[j] * k
+      const ay = ring[j + 1]
+      const dx = ring[i] * k - ax
+      const dy = ring[i + 1] - ay
+      const px = lon * k - ax
+      const py = lat - ay
+      const lengthSq = dx * dx + dy * dy
+      const t = lengthSq > 0 ? Math.max(0, Math.min(1, (px * dx + py * dy) / lengthSq)) : 0
+      best = Math.min(best, Math.hypot(px - t * dx, py - t * dy))
+    }
+  })
+  return best
+}
+
+function inBox(bbox, lon, lat, margin) {
+  return lon >= bbox[0] - margin && lon <= bbox[2] + margin && lat >= bbox[1] - margin && lat <= bbox[3] + margin
+}
+
+/**
+ * Name of the ocean basin for a point outside every listed sea. Basins are
+ * split along the usual meridians: 20°E south of Africa, 147°E south of
+ * Australia and Cape Horn's 67°W, with the Americas separating the Atlantic
+ * from the Pacific further north.
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @returns {string} ocean name
+ */
+function oceanName(lat, lon) {
+  if (lat < -60) return 'Southern Ocean'
+  if (lat > 66) return 'Arctic Ocean'
+
+  if (lon >= 20 && lon < 147 && lat < 30 && !(lon > 100 && lat > -8)) return 'Indian Ocean'
+
+  let americasLon = -100
+  if (lat < 8) americasLon = -70
+  else if (lat < 20) americasLon = -84
+  if (lon >= americasLon && lon < 20) return 'Atlantic Ocean'
+
+  if (lon >= 20 && lon < 100 && lat >= 30) return 'Atlantic Ocean'
+  return 'Pacific Ocean'
+}
+
+/**
+ * Name of the sea or ocean at a point. Only meaningful for points over water.
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @returns {string} sea or ocean name
+ */
+export function waterBodyName(lat, lon) {
+  const x = normalizeLon(lon)
+  const sea = SEA_OUTLINES.find(({ rings }) => insideRings(rings, x, lat))
+  return sea ? sea.name : oceanName(lat, x)
+}
+
+/**
+ * Look up the country and admin-1 unit containing a point, or the sea it is in
+ * @param {object} boundaries - Boundaries returned by loadCountryBoundaries
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @returns {object} location in the shape described at the top of this module
+ */
+export function lookupLocation(boundaries, lat, lon) {
+  const x = normalizeLon(lon)
+  const candidates = boundaries.cells[cellOf(lat, x)].map(index => boundaries.regions[index])
+
+  let match = candidates.find(region => inBox(region.bbox, x, lat, 0) && insideRings(region.rings, x, lat))
+  if (!match) {
+    let nearest = SNAP_DISTANCE_DEG
+    candidates.forEach(region => {
+      if (!inBox(region.bbox, x, lat, SNAP_DISTANCE_DEG)) return
+      const distance = distanceToRings(region.rings, x, lat)
+      if (distance < nearest) {
+        nearest = distance
+        match = region
+      }
+    })
+  }
+
+  const location = {
+    countryCode: null,
+    country: '',
+    regionCode: '',
+    region: '',
+    city: '',
+    locality: '',
+    continent: '',
+    waterBody: '',
+    source: 'Offline'
+  }
+  if (match) {
+    location.countryCode = match.country.code
+    location.country = match.country.name
+    location.regionCode = match.code
+    location.region = match.name
+  } else {
+    location.waterBody = waterBodyName(lat, x)
+  }
+  return location
+}
+
+/**
+ * Provider backed by the bundled boundaries; never needs the network
+ * @param {object} boundaries - Boundaries returned by loadCountryBoundaries
+ * @returns {object} provider { name, reverseGeocode(lat, lon) }
+ */
+export function createOfflineProvider(boundaries) {
+  return {
+    name: 'offline',
+    reverseGeocode: async (lat, lon) => lookupLocation(boundaries, lat, lon)
+  }
+}
+
+/**
+ * BigDataCloud's free client-side endpoint (no API key). Adds city names but
+ * sends every click to a third party, so it is only used when switched on.
+ */
+export const bigDataCloudProvider = {
+  name: 'bigdatacloud',
+  async reverseGeocode(lat, lon) {
+    const response = await fetch(
+      `https://api.bigdatacloud.net/data/reverse-geocode-client?latitude=${lat}&longitude=${lon}&localityLanguage=en`,
+      { method: 'GET', headers: { 'Accept': 'application/json' } }
+    )
+    if (!response.ok) return null
+
+    const data = await response.json()
+    if (!data.countryName && !data.locality) return null
+    return {
+      countryCode: data.countryCode || null,
+      country: data.countryName || '',
+      regionCode: data.principalSubdivisionCode || '',
+      region: data.principalSubdivision || '',
+      city: data.city || '',
+      locality: data.locality || '',
+      continent: data.continent || '',
+      waterBody: '',
+      source: 'API'
+    }
+  }
+}
+
+let providers = []
+
+/**
+ * Choose the providers reverseGeocode asks, in order of preference
+ * @param {Array<object>} list - Providers with { name, reverseGeocode(lat, lon) }
+ */
+export function setGeocodingProviders(list) {
+  providers = list.filter(Boolean)
+}
+
+/**
+ * Reverse geocode a point with the first provider that has an answer
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @returns {Promise<object|null>} location, or null if no provider answered
+ */
+export async function reverseGeocode(lat, lon) {
+  for (const provider of providers) {
+    try {
+      const location = await provider.reverseGeocode(lat, lon)
+      if (location) return location
+    } catch (error) {
+      console.warn(`Reverse geocoding with ${provider.name} failed:`, error.message)
+    }
+  }
+  return null
+}
@@ -0,0 +1,178 @@
+/**
+ * Scenario documents: everything needed to replay a launch (target, impactor,
+ * selected asteroid, camera pose and simulation date) as versioned JSON, so
+ * lesson plans can be prepared ahead of time and shared as files.
+ */
+
+export const SCENARIO_FORMAT = 'asteroid-atlas-scenario'
+export const SCENARIO_VERSION = 2
+
+// MIGRATIONS[n] upgrades a version n document to version n + 1. When the
+// format changes, bump SCENARIO_VERSION and add the step for the old version
+// here so files saved by earlier releases keep loading.
+const MIGRATIONS = {
+  // Version 2 added the entry azimuth and impactor material
+  1: doc => ({ ...doc, impactor: { ...doc.impactor, azimuth_deg: 0, material: 'auto' } })
+}
+
+// Impactor materials offered by the launch panel (see ImpactZones.MATERIALS)
+export const MATERIAL_NAMES = ['auto', 'cometary', 'carbonaceous', 'stony', 'iron']
+
+// Same limits as the launch panel inputs
+const LIMITS = {
+  'target.lat': [-90, 90],
+  'target.lon': [-180, 180],
+  'impactor.diameter_m': [1, 10000],
+  'impactor.speed_m_s': [1000, 100000],
+  'impactor.density_kg_m3': [500, 10000],
+  'impactor.angle_deg': [1, 90],
+  'impactor.azimuth_deg': [0, 360]
+}
+
+/**
+ * Build a scenario document at the current version
+ * @param {object} state - { title, target: {lat, lon}, impactor: {diameter_m, speed_m_s,
+ *   density_kg_m3, angle_deg, azimuth_deg, material}, asteroid, camera: {position, target}, simulation: {date, rate, playing} }
+ * @returns {object} scenario document
+ */
+export function createScenario(state) {
+  const date = state.simulation.date
+  return {
+    format: SCENARIO_FORMAT,
+    version: SCENARIO_VERSION,
+    createdAt: new Date().toISOString(),
+    title: state.title || '',
+    target: { lat: state.target.lat, lon: state.target.lon },
+    impactor: {
+      diameter_m: state.impactor.diameter_m,
+      speed_m_s: state.impactor.speed_m_s,
+      density_kg_m3: state.impactor.density_kg_m3,
+      angle_deg: state.impactor.angle_deg,
+      azimuth_deg: state.impactor.azimuth_deg,
+      material: state.impactor.material
+    },
+    asteroid: state.asteroid || null,
+    camera: {
+      position: [...state.camera.position],
+      target: [...state.camera.target]
+    },
+    simulation: {
+      date: new Date(date instanceof Date ? date.getTime() : date).toISOString(),
+      rate: state.simulation.rate,
+      playing: state.simulation.playing
+    }
+  }
+}
+
+function valueAt(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc)
+}
+
+function isVector(value) {
+  return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite)
+}
+
+/**
+ * Check a current-version document
+ * @param {object} doc - Scenario document
+ * @returns {object} the same document
+ * @throws {TypeError|RangeError} describing the first invalid field
+ */
+export function validateScenario(doc) {
+  Object.entries(LIMITS).forEach(([path, [min, max]]) => {
+    const value = valueAt(doc, path)
+    if (!Number.isFinite(value)) {
+      throw new TypeError(`Scenario field ${path} must be a number`)
+    }
+    if (value < min || value > max) {
+      throw new RangeError(`Scenario field ${path} must be between ${min} and ${max} (got ${value})`)
+    }
+  })
+  if (!MATERIAL_NAMES.includes(doc.impactor.material)) {
+    throw new RangeError(`Scenario field impactor.material must be one of ${MATERIAL_NAMES.join(', ')}`)
+  }
+  if (doc.asteroid !== null && typeof doc.asteroid !== 'string') {
+    throw new TypeError('Scenario field asteroid must be a name or null')
+  }
+  if (!doc.camera || !isVector(doc.camera.position) || !isVector(doc.camera.target)) {
+    throw new TypeError('Scenario camera must have position and target as [x, y, z]')
+  }
+  if (!doc.simulation || isNaN(Date.parse(doc.simulation.date))) {
+    throw new TypeError('Scenario field simulation.date must be an ISO 8601 date')
+  }
+  if (!Number.isFinite(doc.simulation.rate)) {
+    throw new TypeError('Scenario field simulation.rate must be a number')
+  }
+  return doc
+}
+
+/**
+ * Bring a document from any earlier version up to SCENARIO_VERSION
+ * @param {object} doc - Parsed scenario document
+ * @returns {object} document at the current version
+ * @throws {Error} if the file is not a scenario, or comes from a newer release
+ */
+export function migrateScenario(doc) {
+  if (!doc || doc.format !== SCENARIO_FORMAT) {
+    throw new Error('Not an Asteroid Atlas scenario file')
+  }
+  if (!Number.isInteger(doc.version) || doc.version < 1) {
+    throw new Error(`Unknown scenario version ${doc.version}`)
+  }
+  if (doc.version > SCENARIO_VERSION) {
+    throw new Error(`Scenario version ${doc.version} is newer than this app supports (${SCENARIO_VERSION})`)
+  }
+
+  let migrated = doc
+  while (migrated.version < SCENARIO_VERSION) {
+    const step = MIGRATIONS[migrated.version]
+    if (!step) {
+      throw new Error(`No migration from scenario version ${migrated.version}`)
+    }
+    migrated = { ...step(migrated), version: migrated.version + 1 }
+  }
+  return migrated
+}
+
+/**
+ * Parse, migrate and validate scenario JSON
+ * @param {string} text - File contents
+ * @returns {object} scenario document at the current version
+ */
+export function parseScenario(text) {
+  return validateScenario(migrateScenario(JSON.parse(text)))
+}
+
+/**
+ * @param {object} doc - Scenario document
+ * @returns {string} pretty-printed JSON
+ */
+export function serializeScenario(doc) {
+  return JSON.stringify(doc, null, 2)
+}
+
+/**
+ * Save a scenario as a .json download
+ * @param {object} doc - Scenario document
+ * @param {string} filename - Suggested file name
+ */
+export function downloadScenario(doc, filename = 'scenario.json') {
+  const blob = new Blob([serializeScenario(doc)], { type: 'application/json' })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Read a scenario from a file picked by the user
+ * @param {File} file - Uploaded file
+ * @returns {Promise<object>} scenario document at the current version
+ */
+export async function readScenarioFile(file) {
+  return parseScenario(await file.text())
+}
@@ -0,0 +1,8 @@
+varying vec3 vNormal;
+varying vec3 vColor;
+
+void main() {
+    // Fixed view-space light with an ambient floor so every body stays visible
+    float diffuse = max(dot(normalize(vNormal), normalize(vec3(0.5, 0.8, 0.6))), 0.0);
+    gl_FragColor = vec4(vColor * (0.35 + 0.65 * diffuse), 1.0);
+}
@@ -0,0 +1,62 @@
+// Instanced asteroid bodies placed on their orbits by solving Kepler's
+// equation per vertex, the GPU twin of propagate() in orbit-propagator.js
+attribute vec4 orbitShape; // a (scene units), e, inclination, node (radians)
+attribute vec4 orbitPhase; // argument of periapsis, mean anomaly at the reference epoch (radians), mean motion (rad/day), body radius
+
+uniform float uDays; // days since the reference epoch
+uniform float uObliquity;
+uniform float uMinRadius;
+
+varying vec3 vNormal;
+varying vec3 vColor;
+
+const float PI = 3.141592653589793;
+const float TWO_PI = 6.283185307179586;
+
+vec3 orbitalPosition() {
+    float a = orbitShape.x;
+    float e = orbitShape.y;
+    float M = mod(orbitPhase.y + orbitPhase.z * uDays, TWO_PI);
+
+    // Newton's method on E - e sin E = M, started at π for very eccentric orbits
+    float E = e < 0.8 ? M : PI;
+    for (int k = 0; k < 12; k++) {
+        E -= (E - e * sin(E) - M) / (1.0 - e * cos(E));
+    }
+    float nu = 2.0 * atan(sqrt(1.0 + e) * sin(E / 2.0), sqrt(1.0 - e) * cos(E / 2.0));
+    float r = a * (1.0 - e * cos(E));
+
+    float u = orbitPhase.x + nu;
+    float cosO = cos(orbitShape.w);
+    float sinO = sin(orbitShape.w);
+    float cosI = cos(orbitShape.z);
+    vec3 ecliptic = r * vec3(
+        cosO * cos(u) - sinO * sin(u) * cosI,
+        sinO * cos(u) + cosO * sin(u) * cosI,
+        sin(u) * sin(orbitShape.z)
+    );
+
+    // Ecliptic to the scene's equatorial frame (see eclipticToScene), kept clear of the Earth
+    float yEq = ecliptic.y * cos(uObliquity) - ecliptic.z * sin(uObliquity);
+    float zEq = ecliptic.y * sin(uObliquity) + ecliptic.z * cos(uObliquity);
+    vec3 scene = vec3(ecliptic.x, zEq, -yEq);
+    float radius = length(scene);
+    if (radius < uMinRadius) {
+        scene *= uMinRadius / max(radius, 1e-6);
+    }
+    return scene;
+}
+
+void main() {
+    vec3 center = orbitalPosition();
+    vec4 mvPos = modelViewMatrix * vec4(center + position * orbitPhase.w, 1.0);
+
+    vNormal = normalize(normalMatrix * normal);
+#ifdef USE_INSTANCING_COLOR
+    vColor = instanceColor;
+#else
+    vColor = vec3(1.0);
+#endif
+
+    gl_Position = projectionMatrix * mvPos;
+}
@@ -0,0 +1,132 @@
+/**
+ * Land/water lookups from the bundled Ocean.png specular mask.
+ * The mask is equirectangular (longitude -180° at the left edge) with water in white,
+ * so no network lookup is needed to classify an impact site.
+ */
+
+import { calculateDistance, destinationPoint, interpolateGreatCircle } from "./coordinate-utils"
+
+// Sampling resolution of the mask, ~0.18° per cell
+const MASK_WIDTH = 2048
+const MASK_HEIGHT = 1024
+
+// Coarse depth profile used in place of bathymetry: continental shelf out to
+// ~100 km from the coast, then the slope down to an abyssal plain at ~4 km
+const SHELF_WIDTH_KM = 100
+const SHELF_EDGE_DEPTH_M = 200
+const ABYSSAL_DISTANCE_KM = 300
+const ABYSSAL_DEPTH_M = 4000
+
+/**
+ * Load the ocean mask image and convert it to a water/land grid
+ * @param {string} url - Path to the Ocean.png texture
+ * @returns {Promise<object>} mask object with width, height and a Uint8Array of water flags
+ */
+export function loadSurfaceMask(url) {
+  return new Promise((resolve, reject) => {
+    const image = new Image()
+    image.onload = () => {
+      const canvas = document.createElement('canvas')
+      canvas.width = MASK_WIDTH
+      canvas.height = MASK_HEIGHT
+      const context = canvas.getContext('2d')
+      context.drawImage(image, 0, 0, MASK_WIDTH, MASK_HEIGHT)
+      const pixels = context.getImageData(0, 0, MASK_WIDTH, MASK_HEIGHT).data
+
+      const water = new Uint8Array(MASK_WIDTH * MASK_HEIGHT)
+      for (let i = 0; i < water.length; i++) {
+        water[i] = pixels[i * 4] > 127 ? 1 : 0
+      }
+      resolve({ width: MASK_WIDTH, height: MASK_HEIGHT, water })
+    }
+    image.onerror = reject
+    image.src = url
+  })
+}
+
+function maskIndex(mask, lat, lon) {
+  const normalizedLon = ((lon + 180) % 360 + 360) % 360
+  const x = Math.min(mask.width - 1, Math.floor(normalizedLon / 360 * mask.width))
+  const y = Math.min(mask.height - 1, Math.max(0, Math.floor((90 - lat) / 180 * mask.height)))
+  return y * mask.width + x
+}
+
+/**
+ * Check whether a point is over water
+ * @param {object} mask - Mask returned by loadSurfaceMask
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @returns {boolean} true if the point is ocean or sea
+ */
+export function isWater(mask, lat, lon) {
+  if (!mask) return false
+  return mask.water[maskIndex(mask, lat, lon)] === 1
+}
+
+/**
+ * Distance from a point to the nearest cell of the given surface type,
+ * searched on rings of increasing radius
+ * @param {object} mask - Mask returned by loadSurfaceMask
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {boolean} findWater - true to search for water, false for land
+ * @param {number} maxDistanceKm - Search limit in kilometers
+ * @returns {number} distance in kilometers, or maxDistanceKm if nothing was found
+ */
+export function distanceToSurface(mask, lat, lon, findWater, maxDistanceKm = 500) {
+  if (isWater(mask, lat, lon) === findWater) return 0
+
+  const stepKm = 10
+  for (let d = stepKm; d <= maxDistanceKm; d += stepKm) {
+    const bearings = Math.max(8, Math.ceil(2 * Math.PI * d / stepKm))
+    for (let i = 0; i < bearings; i++) {
+      const point = destinationPoint(lat, lon, (i / bearings) * 360, d)
+      if (isWater(mask, point.lat, point.lon) === findWater) return d
+    }
+  }
+  return maxDistanceKm
+}
+
+/**
+ * Estimate the water depth at a point from its distance to the nearest coast.
+ * This is a coarse shelf/slope/abyss profile, not real bathymetry.
+ * @param {object} mask - Mask returned by loadSurfaceMask
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @returns {number} estimated depth in meters (0 on land)
+ */
+export function estimateWaterDepth(mask, lat, lon) {
+  if (!isWater(mask, lat, lon)) return 0
+
+  const coastKm = distanceToSurface(mask, lat, lon, false, ABYSSAL_DISTANCE_KM)
+  if (coastKm <= SHELF_WIDTH_KM) {
+    return Math.max(20, SHELF_EDGE_DEPTH_M * coastKm / SHELF_WIDTH_KM)
+  }
+  const t = Math.min(1, (coastKm - SHELF_WIDTH_KM) / (ABYSSAL_DISTANCE_KM - SHELF_WIDTH_KM))
+  return SHELF_EDGE_DEPTH_M + t * (ABYSSAL_DEPTH_M - SHELF_EDGE_DEPTH_M)
+}
+
+/**
+ * Check whether a great-circle path stays over water until it comes within
+ * `coastBufferKm` of its end point, i.e. whether a wave can reach that coast
+ * @param {object} mask - Mask returned by loadSurfaceMask
+ * @param {number} lat1 - Start latitude in degrees
+ * @param {number} lon1 - Start longitude in degrees
+ * @param {number} lat2 - End latitude in degrees
+ * @param {number} lon2 - End longitude in degrees
+ * @param {number} coastBufferKm - Length of the final stretch that may cross land
+ * @returns {boolean} true if the open-water path is unobstructed
+ */
+export function isSeaPathOpen(mask, lat1, lon1, lat2, lon2, coastBufferKm = 50) {
+  const totalKm = calculateDistance(lat1, lon1, lat2, lon2)
+  const stepKm = 20
+  const steps = Math.ceil(totalKm / stepKm)
+
+  for (let i = 1; i < steps; i++) {
+    const f = i / steps
+    if ((1 - f) * totalKm <= coastBufferKm) break
+    const point = interpolateGreatCircle(lat1, lon1, lat2, lon2, f)
+    if (!isWater(mask, point.lat, point.lon)) return false
+  }
+  return true
+}